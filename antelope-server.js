@@ -34,6 +34,9 @@ const elpp_encoder = require('./encoder')
 const log = console.log
 const log_obj = function (obj) { console.dir(obj, { depth: null }) }
 
+/* Log decoder errors and decode results, without the per-field detail */
+elpp.set_logger(elpp.console_logger, elpp.LOG_INFO)
+
 /* Use 'request' instead of 'http' to handle redirects on endpoints such as Helium downlink URLs */
 const { http, https } = require('follow-redirects')
 const fs = require('fs')
@@ -437,6 +440,9 @@ function push_trx(trx, state, res) {
             dispatch_set.add(queued_trx)
 
             state.trx_count++
+            if (trx.names) {
+                log('trx action: ' + antelope.format_names(trx.names))
+            }
         } else {
             res.writeHead(500)
             res.end('decoder: unknown chain ' + trx.chain)
@@ -512,9 +518,8 @@ function get_device_state(key) {
     return state
 }
 
-/* This assigned port is used for Antelope ELPP protocol messages on LORAWAN.
-The channel map associated with this port is fixed on both ends of the link and MUST NOT CHANGE. */
-const ELPP_PORT_EOS_LORAWAN             = 8
+/* This assigned port is used for Antelope ELPP protocol messages on LORAWAN (see decoder-antelope.js). */
+const ELPP_PORT_EOS_LORAWAN             = antelope.ELPP_PORT_EOS_LORAWAN
 
 function locationFromHelium(state, data) {
      /* Scan hotspots[], choose first entry, return location object:
@@ -37,15 +37,15 @@ function antelope_message_action_provider() {
 
     /* Provide two arrays of 16 each:
      *  dapp, action names
-     *  permission, actor names
+     *  actor, permission names
      */
     var buf1 = []
     var bits1 = encoder.name_encoder(buf1, 0, 'airv11.meas')
     bits1 += encoder.name_encoder(buf1, bits1, 'submitv1')
 
     var buf2 = []
-    var bits2 = encoder.name_encoder(buf2, 0, 'active')
-    bits2 += encoder.name_encoder(buf2, bits2, 'a11111c.meas')
+    var bits2 = encoder.name_encoder(buf2, 0, 'a11111c.meas')
+    bits2 += encoder.name_encoder(buf2, bits2, 'active')
 
     return [
         test_trx_id & 0x7, /*header */
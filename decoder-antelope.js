@@ -87,6 +87,7 @@ function new_trx() {
         signature : null, /* 'SIG_K1...' */
         tapos: null,  /* raw bytes */
         action: null,
+        names: null,  /* decoded action names: { account, action, actor, permission } */
         data : null
     }
 }
@@ -139,6 +140,7 @@ function check_dispatch(obj, trx_id, trx) {
         /* Return the completed trx with some metadata */
         obj.trx = {
             chain: trx.chain,
+            names: trx.names,
             json: json
         }
 
@@ -181,12 +183,25 @@ function antelope_message_action_processor(out, obj) {
     var trx = get_trx(obj, trx_id)
     if (trx.action === null) {
         /* Re-encode the action by inserting the array length fields */
-        /* 1 action, dapp name, action name, 1 perm, perm name, actor name */
+        /* 1 action, dapp name, action name, 1 authorization: actor name, permission name */
         trx.action = Buffer.alloc(34)
         trx.action.writeUInt8(1, 0) /* varuint32 -> encodes '1' as simply 0x1 */
         Buffer.from(out[1]).copy(trx.action, 1)
         trx.action.writeUInt8(1, 17) /* varuint32 -> encodes '1' as simply 0x1 */
         Buffer.from(out[2]).copy(trx.action, 18)
+
+        /* Decode the names for status and logging */
+        var names = []
+        elpp.name_decoder(out[1], 0, names)
+        elpp.name_decoder(out[1], 64, names)
+        elpp.name_decoder(out[2], 0, names)
+        elpp.name_decoder(out[2], 64, names)
+        trx.names = {
+            account: names[0],
+            action: names[1],
+            actor: names[2],
+            permission: names[3]
+        }
     }
     log('have action: ')
     log_obj(trx.action)
@@ -265,6 +280,11 @@ function to_b58(B) {
 };
 
 
+/* Only the parts of a transaction are sent on this port.  Sensor readings, time series
+ * included, travel inside the serialized action data, signed by the device, so they are
+ * passed on as they are rather than decoded here: re-timestamping them would break the
+ * signature.
+ */
 var channel_map = {
     0: { decoder: elpp.antelope_message_tapos_decoder, processor: antelope_message_tapos_processor },
     1: { decoder: elpp.antelope_message_action_decoder, processor: antelope_message_action_processor },
@@ -273,6 +293,14 @@ var channel_map = {
     4: { decoder: elpp.antelope_message_tapos_req_decoder, processor: antelope_message_tapos_req_processor },
 }
 
+/* This assigned port is used for Antelope ELPP protocol messages on LORAWAN.
+The channel map associated with this port is fixed on both ends of the link.  A revised map
+must be added to channel_maps as a new version (see the map registry in decoder.js). */
+var ELPP_PORT_EOS_LORAWAN = 8
+
+var channel_maps = {}
+channel_maps[ELPP_PORT_EOS_LORAWAN] = { 1: channel_map }
+
 /* The antenlope decoder returns:
  *   trx : {}  This contains the complete JSON transaction (in json property) structure decoded from uplinked data.
  *             It can be pushed to the v1 chain APIs.
@@ -295,7 +323,7 @@ function decoder(payload, state) {
         }
     }
 
-    return elpp.decoder(payload, channel_map, platform)
+    return elpp.decoder(payload, channel_maps, platform, { port: ELPP_PORT_EOS_LORAWAN })
 }
 
 function get_status_trx(trx) {
@@ -329,9 +357,18 @@ function get_status_trx(trx) {
 
     str += ' data'
 
+    if (trx.names) {
+        str += ' (' + format_names(trx.names) + ')'
+    }
+
     return str
 }
 
+/* e.g. 'airv11.meas::submitv1 by a11111c.meas@active' */
+function format_names(names) {
+    return names.account + '::' + names.action + ' by ' + names.actor + '@' + names.permission
+}
+
 function get_status(trx_map) {
     /* print all active IDs and what they are waiting for */
     let str = ''
@@ -350,7 +387,9 @@ function new_state() {
 }
 
 module.exports = {
+    ELPP_PORT_EOS_LORAWAN,
     decoder,
     get_status,
+    format_names,
     new_state
 }
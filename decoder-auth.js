@@ -0,0 +1,88 @@
+/*
+Copyright (c) 2023 Firmware Modules Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * MAC functions for authenticated payloads (see Authentication in decoder.js) on Node.
+ * Cloud JS engines without a crypto module must supply their own.
+ *
+ *   hmac_sha256(key, bytes) - HMAC-SHA256, any key length
+ *   aes_cmac(key, bytes)    - AES-CMAC (RFC 4493), 16 byte key
+ *
+ * Keys are Buffers or arrays of bytes.  E.g.
+ *
+ *   elpp.decoder(bytes, map, platform, { auth: { mac: auth.aes_cmac, key: device_key, state: device_state } })
+ */
+
+const crypto = require('crypto')
+
+function hmac_sha256(key, bytes) {
+    return crypto.createHmac('sha256', Buffer.from(key)).update(Buffer.from(bytes)).digest()
+}
+
+/* AES-128 of one block */
+function aes_block(key, block) {
+    var cipher = crypto.createCipheriv('aes-128-ecb', key, null)
+    cipher.setAutoPadding(false)
+    return Buffer.concat([cipher.update(block), cipher.final()])
+}
+
+/* Doubling in GF(2^128), for the CMAC subkeys */
+function double_block(block) {
+    var out = Buffer.alloc(16)
+    for (var i = 0; i < 16; i++) {
+        out[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff
+    }
+    if (block[0] & 0x80) {
+        out[15] ^= 0x87
+    }
+    return out
+}
+
+function aes_cmac(key, bytes) {
+    key = Buffer.from(key)
+    var data = Buffer.from(bytes)
+    var k1 = double_block(aes_block(key, Buffer.alloc(16)))
+    var k2 = double_block(k1)
+    var blocks = Math.max(1, Math.ceil(data.length / 16))
+    var complete = (data.length > 0 && data.length % 16 == 0)
+    /* the last block, xored with K1 if complete, otherwise padded and xored with K2 */
+    var last = Buffer.alloc(16)
+    data.copy(last, 0, (blocks - 1) * 16)
+    if (!complete) {
+        last[data.length - (blocks - 1) * 16] = 0x80
+    }
+    var subkey = complete ? k1 : k2
+    var x = Buffer.alloc(16)
+    for (var b = 0; b < blocks; b++) {
+        var block = (b < blocks - 1) ? data.subarray(b * 16, b * 16 + 16) : last
+        for (var i = 0; i < 16; i++) {
+            x[i] ^= block[i] ^ ((b == blocks - 1) ? subkey[i] : 0)
+        }
+        x = aes_block(key, x)
+    }
+    return x
+}
+
+module.exports = {
+    hmac_sha256,
+    aes_cmac,
+}
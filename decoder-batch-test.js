@@ -0,0 +1,129 @@
+const assert = require('assert')
+const { Readable } = require('stream')
+const elpp = require('./decoder')
+const encoder = require('./encoder')
+const batch = require('./decoder-batch')
+
+const log = console.log
+
+log('starting decoder-batch tests')
+
+var channel_map = {
+    0: { decoder: elpp.temperature_decoder, processor: function (out, obj) { obj.values.push({ device: obj.device, temp: out.temp }) }, output: elpp.OUTPUT_NAMED },
+    3: { decoder: [{ fn: elpp.fixed_bytearray_decoder, args: { length: 1 } }], processor: function () { throw new Error('processor failed') } },
+}
+var platform = {
+    pre_process: function (obj, record) {
+        obj.values = []
+        obj.device = record.device
+    },
+    post_process: function (obj) { return obj.values }
+}
+var temp_buf = encoder.encoder([0, 0], { 0: { encoder: encoder.temperature_encoder, provider: function () { return [21.5] } } })
+var temp_hex = Buffer.from(temp_buf).toString('hex')
+var temp_base64 = Buffer.from(temp_buf).toString('base64')
+
+/*------ Records ------------------------*/
+log('== records ==')
+
+var entries = Array.from(batch.decode_records([
+    { bytes: temp_buf, device: 'a' },
+    { bytes: temp_hex, device: 'b' },
+    { bytes: Buffer.from(temp_buf), device: 'c' },
+    { bytes: 'not hex', device: 'd' },
+    { bytes: [9], device: 'e' },
+    { bytes: [3, 1], device: 'f' },
+], channel_map, platform))
+assert.strictEqual(entries.length, 6)
+assert.deepStrictEqual(entries[0].output, [{ device: 'a', temp: 21.5 }, { device: 'a', temp: 21.5 }])
+assert.strictEqual(entries[0].error, null)
+assert.strictEqual(entries[0].result.status, elpp.RESULT_OK)
+assert.deepStrictEqual(entries[1].output, [{ device: 'b', temp: 21.5 }, { device: 'b', temp: 21.5 }])
+assert.deepStrictEqual(entries[2].output, entries[0].output.map(function (v) { return { device: 'c', temp: v.temp } }))
+assert.strictEqual(entries[3].error, 'bad payload')
+assert.strictEqual(entries[4].error, 'decoder status ' + elpp.RESULT_CHANNEL_NOT_FOUND)
+assert.strictEqual(entries[4].result.channel, 9)
+assert.strictEqual(entries[5].error, 'processor failed')
+
+/* base64 payloads, and a registry selected by port */
+var registry = { 2: { 1: channel_map } }
+entries = Array.from(batch.decode_records([
+    { bytes: temp_base64, port: 2, device: 'a' },
+    { bytes: temp_base64, port: 5, device: 'b' },
+    { bytes: temp_base64, device: 'c' },
+], registry, platform, { registry: true, encoding: 'base64' }))
+assert.strictEqual(entries[0].error, null)
+assert.strictEqual(entries[0].result.version, 1)
+assert.strictEqual(entries[1].error, 'decoder status ' + elpp.RESULT_MAP_NOT_FOUND)
+assert.strictEqual(entries[2].error, 'no port')
+
+/* Decoder options */
+entries = Array.from(batch.decode_records([{ bytes: temp_buf.concat([0xfe, 0, 0]) }], channel_map, platform, { decoder: { crc: elpp.CRC_16 } }))
+assert.strictEqual(entries[0].error, 'decoder status ' + elpp.RESULT_CRC_MISMATCH)
+
+/* Fragments are reassembled per device */
+var frag_enc_map = { 0: { encoder: encoder.temperature_encoder, provider: function () { return [21.5] } } }
+var frags = encoder.encoder_split([0, 0, 0, 0], frag_enc_map, { mtu: 10, message_id: 3 })
+assert.strictEqual(frags.length, 2)
+entries = Array.from(batch.decode_records([
+    { bytes: frags[0], device: 'a', timestamp: 100 },
+    { bytes: frags[0], device: 'b', timestamp: 100 },
+    { bytes: frags[1], device: 'a', timestamp: 160 },
+    { bytes: frags[1], device: 'b', timestamp: 100 + elpp.FRAGMENT_TIMEOUT + 1 },
+], channel_map, platform, { reassembly: true }))
+assert.deepStrictEqual(entries.map(function (entry) { return entry.output.length }), [0, 0, 4, 0])
+assert.deepStrictEqual(entries[3].result.fragment, { id: 3, index: 1, count: 2, received: 1 })
+
+log('record tests passed')
+
+/*------ Archives ------------------------*/
+log('== archives ==')
+
+async function collect(iterator) {
+    var entries = []
+    for await (const entry of iterator) {
+        entries.push(entry)
+    }
+    return entries
+}
+
+async function archive_tests() {
+    var jsonl = [
+        JSON.stringify({ bytes: temp_hex, port: 2, timestamp: 1700000000, device: 'a' }),
+        '',
+        '{ not json',
+        JSON.stringify({ bytes: '09', device: 'b' }),
+    ].join('\n')
+    var entries = await collect(batch.decode_stream(Readable.from([jsonl]), channel_map, platform))
+    assert.strictEqual(entries.length, 3)
+    assert.strictEqual(entries[0].record.timestamp, 1700000000)
+    assert.deepStrictEqual(entries[0].output, [{ device: 'a', temp: 21.5 }, { device: 'a', temp: 21.5 }])
+    assert.deepStrictEqual(entries[1].record, { line: 3, text: '{ not json' })
+    assert.match(entries[1].error, /^line 3: /)
+    assert.strictEqual(entries[2].result.status, elpp.RESULT_CHANNEL_NOT_FOUND)
+
+    var csv = [
+        'timestamp,device,port,bytes',
+        '1700000000,"dev ""a"", north",2,' + temp_base64,
+        '1700000060,b,2,' + temp_base64,
+    ].join('\r\n')
+    entries = await collect(batch.decode_stream(Readable.from([csv]), registry, platform, { format: batch.FORMAT_CSV, encoding: 'base64', registry: true }))
+    assert.strictEqual(entries.length, 2)
+    assert.deepStrictEqual(entries[0].record, { timestamp: 1700000000, device: 'dev "a", north', port: 2, bytes: temp_base64 })
+    assert.deepStrictEqual(entries[0].output[0], { device: 'dev "a", north', temp: 21.5 })
+    assert.strictEqual(entries[1].error, null)
+
+    /* Any iterable of lines */
+    entries = await collect(batch.decode_lines(['bytes', temp_hex], channel_map, platform, { format: batch.FORMAT_CSV }))
+    assert.strictEqual(entries.length, 1)
+    assert.strictEqual(entries[0].error, null)
+
+    assert.deepStrictEqual(batch.csv_fields('a,"b,c",,"d""e"'), ['a', 'b,c', '', 'd"e'])
+
+    log('archive tests passed')
+}
+
+archive_tests().catch(function (e) {
+    console.error(e)
+    process.exitCode = 1
+})
@@ -0,0 +1,243 @@
+/*
+Copyright (c) 2023 Firmware Modules Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * Batch decoding of stored payloads, e.g. to re-decode an archive after fixing a processor.
+ *
+ * Records are objects of:
+ *
+ *   {
+ *     bytes: payload, as an array of bytes, a Buffer, or a hex or base64 string (see 'encoding')
+ *     port: the payload's port (used with the 'registry' option)
+ *     timestamp, device: passed on to the platform
+ *   }
+ *
+ * The channel map is compiled once (see decoder_compile) and reused for every record.
+ * Each record gives an entry of:
+ *
+ *   {
+ *     record: the record, or for archives { line, text } if it could not be read
+ *     output: what the platform's post_process returned, or null
+ *     result: the decoder's result object (see decoder()), or null
+ *     error:  null, or why the record failed
+ *   }
+ *
+ * A failing record does not stop the batch.  The platform's pre_process is also given the
+ * record, as pre_process(obj, record), for processors that need its timestamp or device.
+ *
+ *   decode_records(records, map, platform, options) - generator over any iterable of records
+ *   decode_lines(lines, map, platform, options)     - async generator over the lines of a JSONL or
+ *                                                     CSV archive (any iterable or async iterable)
+ *   decode_stream(stream, map, platform, options)   - the same, reading a stream such as a file
+ *
+ * Options (all optional):
+ *   registry - 'map' is a map registry, selected by each record's port
+ *   encoding - encoding of string payloads: 'hex' (default) or 'base64'
+ *   format   - archive format: 'jsonl' (default, one record per line) or 'csv' (a header line
+ *              naming the columns bytes, port, timestamp and device, then one record per line)
+ *   decoder  - options for decoder(), e.g. { engineering: true }.  Logging is off unless
+ *              a logger is given.
+ *   reassembly - reassemble fragmented messages (see Fragmentation in decoder.js), keeping a
+ *              reassembly state for each record's device.  A record's timestamp (epoch seconds)
+ *              is the time of its payload for the fragment timeout.
+ *
+ * E.g.
+ *
+ *   for await (const entry of batch.decode_stream(fs.createReadStream('uplinks.jsonl'), map, platform)) {
+ *       ...
+ *   }
+ */
+
+const readline = require('readline')
+const elpp = require('./decoder')
+
+const FORMAT_JSONL = 'jsonl'
+const FORMAT_CSV = 'csv'
+
+/* Compile the map, or each map of a registry */
+function compile_maps(map, registry) {
+    if (!registry) {
+        return elpp.decoder_compile(map)
+    }
+    var compiled = {}
+    for (var port in map) {
+        compiled[port] = {}
+        for (var version in map[port]) {
+            compiled[port][version] = elpp.decoder_compile(map[port][version])
+        }
+    }
+    return compiled
+}
+
+/* The payload as an array of bytes, or null */
+function to_bytes(bytes, encoding) {
+    if (typeof bytes === 'string') {
+        if (encoding === 'base64') {
+            return /^[A-Za-z0-9+/]*={0,2}$/.test(bytes) ? Array.from(Buffer.from(bytes, 'base64')) : null
+        }
+        return /^([0-9A-Fa-f]{2})*$/.test(bytes) ? Array.from(Buffer.from(bytes, 'hex')) : null
+    }
+    if (bytes instanceof Array || bytes instanceof Uint8Array) {
+        return Array.from(bytes)
+    }
+    return null
+}
+
+/* Split a CSV line into its fields.  Fields may be quoted, with "" for a quote. */
+function csv_fields(line) {
+    var fields = []
+    var field = ''
+    var quoted = false
+    for (var i = 0; i < line.length; i++) {
+        var c = line[i]
+        if (quoted) {
+            if (c == '"' && line[i + 1] == '"') {
+                field += '"'
+                i++
+            } else if (c == '"') {
+                quoted = false
+            } else {
+                field += c
+            }
+        } else if (c == '"') {
+            quoted = true
+        } else if (c == ',') {
+            fields.push(field)
+            field = ''
+        } else {
+            field += c
+        }
+    }
+    fields.push(field)
+    return fields
+}
+
+/* A record from the fields of a CSV line and the header's column names */
+function csv_record(fields, columns) {
+    var record = {}
+    for (var i = 0; i < columns.length; i++) {
+        var value = fields[i]
+        if ((columns[i] == 'port' || columns[i] == 'timestamp') && value !== '' && !isNaN(Number(value))) {
+            value = Number(value)
+        }
+        record[columns[i]] = value
+    }
+    return record
+}
+
+/* Decode one record.  'states' holds the reassembly state of each device. */
+function decode_record(record, compiled, platform, options, states) {
+    var entry = { record: record, output: null, result: null, error: null }
+    var bytes = record ? to_bytes(record.bytes, options.encoding) : null
+    if (!bytes) {
+        entry.error = 'bad payload'
+        return entry
+    }
+    var decoder_options = Object.assign({ logger: null }, options.decoder)
+    if (options.registry) {
+        if (record.port === undefined || record.port === null || record.port === '') {
+            entry.error = 'no port'
+            return entry
+        }
+        decoder_options.port = record.port
+    }
+    if (options.reassembly) {
+        var device = String(record.device)
+        if (!states[device]) {
+            states[device] = elpp.new_reassembly_state()
+        }
+        decoder_options.reassembly = states[device]
+        if (typeof record.timestamp === 'number') {
+            decoder_options.now = record.timestamp
+        }
+    }
+    /* catch the result on its way to the platform */
+    var record_platform = {
+        pre_process: function (obj) { platform.pre_process(obj, record) },
+        post_process: function (obj, result) {
+            entry.result = result
+            return platform.post_process(obj, result)
+        }
+    }
+    try {
+        entry.output = elpp.decoder(bytes, compiled, record_platform, decoder_options)
+    } catch (e) {
+        /* a processor threw */
+        entry.error = e.message
+        return entry
+    }
+    if (entry.result && entry.result.status != elpp.RESULT_OK) {
+        entry.error = 'decoder status ' + entry.result.status
+    }
+    return entry
+}
+
+function* decode_records(records, map, platform, options) {
+    options = options || {}
+    var compiled = compile_maps(map, options.registry)
+    var states = {}
+    for (const record of records) {
+        yield decode_record(record, compiled, platform, options, states)
+    }
+}
+
+async function* decode_lines(lines, map, platform, options) {
+    options = options || {}
+    var compiled = compile_maps(map, options.registry)
+    var states = {}
+    var csv = (options.format === FORMAT_CSV)
+    var columns = null
+    var line_number = 0
+    for await (const line of lines) {
+        line_number++
+        var text = line.trim()
+        if (text === '') {
+            continue
+        }
+        if (csv && !columns) {
+            columns = csv_fields(text).map(function (column) { return column.trim() })
+            continue
+        }
+        var record
+        try {
+            record = csv ? csv_record(csv_fields(text), columns) : JSON.parse(text)
+        } catch (e) {
+            yield { record: { line: line_number, text: text }, output: null, result: null, error: 'line ' + line_number + ': ' + e.message }
+            continue
+        }
+        yield decode_record(record, compiled, platform, options, states)
+    }
+}
+
+function decode_stream(stream, map, platform, options) {
+    return decode_lines(readline.createInterface({ input: stream, crlfDelay: Infinity }), map, platform, options)
+}
+
+module.exports = {
+    FORMAT_JSONL,
+    FORMAT_CSV,
+    decode_records,
+    decode_lines,
+    decode_stream,
+    csv_fields,
+    to_bytes,
+}
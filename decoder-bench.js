@@ -0,0 +1,74 @@
+/*
+ * Decoder benchmark: the interpreter (decoder_run) against a compiled map (decoder_compile).
+ *
+ *   node decoder-bench.js [iterations]
+ *
+ * Checks both give identical output, then times decoding the same payload with each.
+ */
+const assert = require('assert')
+const elpp = require('./decoder')
+const encoder = require('./encoder')
+
+const log = console.log
+
+var iterations = Number(process.argv[2]) || 100000
+
+var encoder_map = {
+    0: { encoder: encoder.temperature_encoder, provider: function () { return [21.5] } },
+    1: { encoder: encoder.particle_encoder, provider: function () { return [0xff, 12, 25, 31, 40] } },
+    2: { encoder: encoder.accel_encoder, provider: function () { return [12, -1234, 5678] } },
+    5: { encoder: encoder.motion_encoder, provider: function () { return [1, -3, 4, 1000] } },
+    10: { encoder: encoder.time_encoder, provider: function () { return [1, 1700000000] } },
+    11: { encoder: encoder.battery_encoder, provider: function () { return [3300, 12500, 1000001, -5.25] } },
+    30: { encoder: encoder.devstartup_encoder, provider: function () { return [[2, 1, 6, 5], 0xaf03] } },
+}
+var payload = encoder.encoder([10, 0, 1, 2, 5, 11, 0, 30], encoder_map)
+
+function processor(out, obj) {
+    obj.values.push(out)
+}
+
+var channel_map = {
+    0: { decoder: elpp.temperature_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    1: { decoder: elpp.particle_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    2: { decoder: elpp.accel_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    5: { decoder: elpp.motion_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    10: { decoder: elpp.time_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    11: { decoder: elpp.battery_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+    30: { decoder: elpp.devstartup_decoder, processor: processor, output: elpp.OUTPUT_NAMED },
+}
+var compiled_map = elpp.decoder_compile(channel_map)
+
+var platform = {
+    pre_process: function (obj) { obj.values = [] },
+    post_process: function (obj, result) { obj.result = result; return obj }
+}
+var options = { engineering: true, logger: null }
+
+/* Time 'count' decodes, returning decodes per second */
+function run(map, count) {
+    var start = process.hrtime.bigint()
+    for (var i = 0; i < count; i++) {
+        elpp.decoder(payload, map, platform, options)
+    }
+    var ns = Number(process.hrtime.bigint() - start)
+    return count / (ns / 1e9)
+}
+
+log('payload: ' + payload.length + ' bytes, ' + Object.keys(channel_map).length + ' channel types')
+
+var interpreted = elpp.decoder(payload, channel_map, platform, options)
+var compiled = elpp.decoder(payload, compiled_map, platform, options)
+assert.strictEqual(interpreted.result.status, elpp.RESULT_OK)
+assert.strictEqual(JSON.stringify(compiled), JSON.stringify(interpreted))
+log('output identical')
+
+/* warm up both, then measure */
+run(channel_map, iterations >> 3)
+run(compiled_map, iterations >> 3)
+
+var interpreted_rate = run(channel_map, iterations)
+var compiled_rate = run(compiled_map, iterations)
+log('interpreted: ' + Math.round(interpreted_rate) + ' decodes/s')
+log('compiled:    ' + Math.round(compiled_rate) + ' decodes/s')
+log('speedup:     ' + (compiled_rate / interpreted_rate).toFixed(2) + 'x')
@@ -143,3 +143,1270 @@ log_obj(result)
 
 
 
+
+/*------ Type schema ------------------------*/
+const assert = require('assert')
+
+log('== schema ==')
+
+/* The test channel map above, described as data */
+var test_schema = JSON.stringify({
+    types: {
+        accel: [
+            { type: 'varint32', name: 'x' },
+            { type: 'varint32', name: 'y' },
+            { type: 'varint32', name: 'z' }
+        ],
+        particle: [
+            { type: 'uint8', name: 'flags' },
+            { type: 'bitfield', args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm1_0' },
+            { type: 'bitfield', args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm2_5' },
+            { type: 'bitfield', args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm4_0' },
+            { type: 'bitfield', args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm10_0' }
+        ]
+    },
+    channels: {
+        0: { type: 'temperature', processor: 'temp_processor', provider: 'temperature_provider' },
+        1: { type: 'particle', processor: 'pm_processor', provider: 'pm_provider' },
+        2: { type: [{ type: 'accel' }], processor: 'accel_processor', provider: 'accel_provider' },
+        10: { type: 'time', processor: 'time_processor', provider: 'time_provider' },
+        30: { type: 'devstartup', processor: 'devstartup_processor', provider: 'devstartup_provider' }
+    }
+})
+
+var schema_map = elpp.schema_decoder_map(test_schema, {
+    temp_processor, pm_processor, accel_processor, time_processor, devstartup_processor
+})
+assert.deepStrictEqual(elpp.decoder(test_vec, schema_map, platform), result)
+
+var schema_encoder_map = encoder.schema_encoder_map(test_schema, {
+    temperature_provider,
+    pm_provider,
+    accel_provider,
+    time_provider: function () { return [0x1, result.time.epoch] },
+    devstartup_provider
+})
+assert.deepStrictEqual(encoder.encoder([10, 0, 1, 2, 30], schema_encoder_map), test_vec)
+
+assert.throws(function () { elpp.schema_decoder_map({ channels: { 0: { type: 'nope' } } }) }, /unknown type 'nope' at channels.0.type/)
+assert.throws(function () { elpp.schema_decoder_map({ types: { a: [{ type: 'a' }] }, channels: { 0: { type: 'a' } } }) }, /recursive type 'a'/)
+assert.throws(function () { elpp.schema_decoder_map({ channels: { 0: { type: 'adc', processor: 'missing' } } }, {}) }, /unknown processor 'missing'/)
+
+/* The shipped standard map must resolve against the datacake processor names */
+var standard_schema = require('./schemas/elpp-standard.json')
+var standard_processors = {}
+for (var chan in standard_schema.channels) {
+    standard_processors[standard_schema.channels[chan].processor] = function () { }
+}
+var standard_map = elpp.schema_decoder_map(standard_schema, standard_processors)
+assert.strictEqual(standard_map[11].decoder, elpp.battery_decoder)
+
+log('schema tests passed')
+
+/*------ Named output ------------------------*/
+log('== named output ==')
+
+var named_out = {}
+function named_processor(out, data) {
+    named_out[Object.keys(named_out).length] = out
+}
+
+var named_map = {
+    0: { decoder: elpp.temperature_decoder, processor: named_processor, output: elpp.OUTPUT_NAMED },
+    1: { decoder: elpp.particle_decoder, processor: named_processor, output: elpp.OUTPUT_NAMED },
+    2: { decoder: elpp.accel_decoder, processor: named_processor, output: elpp.OUTPUT_NAMED },
+    10: { decoder: elpp.time_decoder, processor: named_processor, output: elpp.OUTPUT_NAMED },
+    30: { decoder: elpp.devstartup_decoder, processor: named_processor, output: elpp.OUTPUT_NAMED }
+}
+elpp.decoder(test_vec, named_map, platform)
+assert.deepStrictEqual(named_out, {
+    0: { flags: 1, epoch: result.time.epoch },
+    1: { temp: -12.6875 },
+    2: { flags: 255, pm1_0: 1023, pm2_5: 1023, pm4_0: 1023, pm10_0: 0 },
+    3: { x: 12, y: -1234, z: 12345678 },
+    4: { fw_ver: [2, 1, 6, 5], reset_flags: 0xaf03 }
+})
+
+/* Nested types become sub-objects */
+var motion_out
+elpp.decoder([5, 0x01, 0x18, 0xa3, 0x13, 0x00], {
+    5: { decoder: elpp.motion_decoder, processor: function (out) { motion_out = out }, output: elpp.OUTPUT_NAMED }
+}, platform)
+assert.deepStrictEqual(motion_out, { flags: 1, accel: { x: 12, y: -1234, z: 0 } })
+
+log('named output tests passed')
+
+/*------ Signed integers ------------------------*/
+log('== signed integers ==')
+
+var int_encoder_type = [
+    { fn: encoder.int8_encoder },
+    { fn: encoder.int16_encoder },
+    { fn: encoder.int32_encoder },
+]
+var int_decoder_type = [
+    { fn: elpp.int8_decoder, name: 'i8' },
+    { fn: elpp.int16_decoder, name: 'i16' },
+    { fn: elpp.int32_decoder, name: 'i32' },
+]
+var int_vectors = [
+    [0, 0, 0],
+    [-1, -1, -1],
+    [-128, -32768, -2147483648],
+    [127, 32767, 2147483647],
+    [-42, 1234, -123456789],
+]
+int_vectors.forEach(function (vec) {
+    var int_out
+    var int_vec = encoder.encoder([20], { 20: { encoder: int_encoder_type, provider: function () { return vec.slice() } } })
+    elpp.decoder(int_vec, { 20: { decoder: int_decoder_type, processor: function (out) { int_out = out } } }, platform)
+    assert.deepStrictEqual(int_out, vec)
+})
+
+/* Out of range values are rejected by the signed encoders */
+assert.strictEqual(encoder.int8_encoder([], 0, 128), -1)
+assert.strictEqual(encoder.int8_encoder([], 0, -129), -1)
+assert.strictEqual(encoder.int16_encoder([], 0, 32768), -1)
+assert.strictEqual(encoder.int32_encoder([], 0, -2147483649), -1)
+assert.strictEqual(encoder.int16_encoder([], 0, 1.5), -1)
+
+/* uint32 is unsigned: the top bit set is not a negative value */
+var uint32_out = []
+assert.strictEqual(elpp.uint32_decoder([0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x80], 0, uint32_out), 32)
+assert.strictEqual(elpp.uint32_decoder([0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x80], 32, uint32_out), 32)
+assert.deepStrictEqual(uint32_out, [0xffffffff, 0x80000000])
+var time_out = null
+elpp.decoder(encoder.encoder([10], { 10: { encoder: encoder.time_encoder, provider: function () { return [0, 4102444800] } } }),
+    { 10: { decoder: elpp.time_decoder, processor: function (out) { time_out = out } } }, platform)
+assert.deepStrictEqual(time_out, [0, 4102444800])
+
+log('signed integer tests passed')
+
+/*------ Arrays ------------------------*/
+log('== arrays ==')
+
+var array_encoder_map = {
+    40: {
+        encoder: [{ fn: encoder.array_encoder, args: { element: encoder.temperature_encoder } }],
+        provider: function () { return [[21.5, -3.25, 0]] }
+    },
+    41: {
+        encoder: [{ fn: encoder.fixed_array_encoder, args: { length: 2, element: encoder.accel_encoder } }],
+        provider: function () { return [[[1, 2, 3], { x: -4, y: 5, z: -6 }]] }
+    },
+}
+var array_vec = encoder.encoder([40, 41], array_encoder_map)
+assert.deepStrictEqual(array_vec, [40, 3, 0x01, 0x58, 0xff, 0xcc, 0x00, 0x00, 41, 2, 4, 6, 7, 10, 11])
+
+var array_out = {}
+var array_decoder_map = {
+    40: {
+        decoder: [{ fn: elpp.array_decoder, args: { element: elpp.temperature_decoder }, name: 'temps' }],
+        processor: function (out) { array_out.temps = out }
+    },
+    41: {
+        decoder: [{ fn: elpp.fixed_array_decoder, args: { length: 2, element: elpp.accel_decoder }, name: 'accels' }],
+        processor: function (out) { array_out.accels = out },
+        output: elpp.OUTPUT_NAMED
+    },
+}
+elpp.decoder(array_vec, array_decoder_map, platform)
+assert.deepStrictEqual(array_out, {
+    temps: [3, [21.5, -3.25, 0]],
+    accels: { accels: [{ x: 1, y: 2, z: 3 }, { x: -4, y: 5, z: -6 }] }
+})
+
+/* Element types from a schema, by name */
+var array_schema = {
+    types: { reading: [{ type: 'uint8', name: 'id' }, { type: 'int16', name: 'value' }] },
+    channels: { 42: { type: [{ type: 'array', args: { element: 'reading' }, name: 'readings' }], output: 'named' } }
+}
+var array_schema_map = elpp.schema_decoder_map(array_schema)
+array_schema_map[42].processor = function (out) { array_out.readings = out.readings }
+var array_schema_vec = encoder.encoder([42], {
+    42: { encoder: encoder.schema_encoder_map(array_schema)[42].encoder, provider: function () { return [[{ id: 1, value: -2 }, [3, 400]]] } }
+})
+elpp.decoder(array_schema_vec, array_schema_map, platform)
+assert.deepStrictEqual(array_out.readings, [{ id: 1, value: -2 }, { id: 3, value: 400 }])
+
+/* A corrupt count larger than the payload fails cleanly */
+assert.strictEqual(elpp.array_decoder([0xff, 0x7f], 0, [], { element: elpp.temperature_decoder }), -1)
+
+log('array tests passed')
+
+/*------ Antelope names ------------------------*/
+log('== names ==')
+
+;['airv11.meas', 'submitv1', 'a11111c.meas', 'eosio.token', 'zzzzzzzzzzzzj', ''].forEach(function (name) {
+    var name_buf = []
+    encoder.name_encoder(name_buf, 0, name)
+    var name_out = []
+    assert.strictEqual(elpp.name_decoder(name_buf, 0, name_out), 64)
+    assert.deepStrictEqual(name_out, [name])
+})
+assert.strictEqual(elpp.name_decoder([1, 2, 3], 0, []), -1)
+
+log('name tests passed')
+
+/*------ Decode result ------------------------*/
+log('== decode result ==')
+
+var result_platform = {
+    pre_process: function (obj) { },
+    post_process: function (obj, result) { return result }
+}
+
+var ok_result = elpp.decoder(test_vec, channel_map, result_platform)
+assert.deepStrictEqual(ok_result, {
+    status: elpp.RESULT_OK, channel: null, bit_index: null, field: null,
+    bytes_consumed: test_vec.length, channels: [10, 0, 1, 2, 30], skipped: [], version: null, out_of_range: [], fragment: null, authenticated: false
+})
+
+/* Unknown channel after two good ones */
+var unknown_result = elpp.decoder([0, 0x01, 0x58, 0, 0xff, 0xcc, 99, 1, 2], channel_map, result_platform)
+assert.deepStrictEqual(unknown_result, {
+    status: elpp.RESULT_CHANNEL_NOT_FOUND, channel: 99, bit_index: 48, field: null,
+    bytes_consumed: 6, channels: [0, 0], skipped: [], version: null, out_of_range: [], fragment: null, authenticated: false
+})
+
+/* Short buffer inside a nested type */
+var short_result = elpp.decoder([0, 0x01, 0x58, 5, 0x01, 0x18, 0xa3, 0x13], { 0: channel_map[0], 5: { decoder: elpp.motion_decoder } }, result_platform)
+assert.deepStrictEqual(short_result, {
+    status: elpp.RESULT_ERROR, channel: 5, bit_index: 64, field: 'accel.z',
+    bytes_consumed: 3, channels: [0], skipped: [], version: null, out_of_range: [], fragment: null, authenticated: false
+})
+
+/* A truncated varuint32 is an error, not a value */
+assert.strictEqual(elpp.varuint32_decoder([0x80, 0x80], 0, []), -1)
+assert.strictEqual(elpp.varuint32_decoder([], 0, []), -1)
+
+/* so a motion channel cut short inside accel.z no longer decodes z as 0 */
+var truncated_motion_out = null
+var truncated_motion_result = elpp.decoder([5, 0x01, 0x18, 0xa3, 0x13], {
+    5: { decoder: elpp.motion_decoder, processor: function (out) { truncated_motion_out = out }, output: elpp.OUTPUT_NAMED }
+}, result_platform)
+assert.strictEqual(truncated_motion_out, null)
+assert.strictEqual(truncated_motion_result.status, elpp.RESULT_ERROR)
+assert.strictEqual(truncated_motion_result.field, 'accel.z')
+assert.strictEqual(truncated_motion_result.bit_index, 40)
+
+log('decode result tests passed')
+
+/*------ Logger and trace ------------------------*/
+log('== logger and trace ==')
+
+var log_lines = []
+function test_logger(level, msg) {
+    log_lines.push([level, msg])
+}
+
+/* Silent by default */
+elpp.decoder([99], channel_map, platform)
+assert.strictEqual(log_lines.length, 0)
+
+/* Per-decode logger, filtered by level */
+elpp.decoder([99], channel_map, platform, { logger: test_logger, log_level: elpp.LOG_ERROR })
+assert.deepStrictEqual(log_lines, [
+    [elpp.LOG_ERROR, 'Unknown channel (99) in input at bit offset 0'],
+    [elpp.LOG_ERROR, 'Decoder FAILED!']
+])
+
+/* Installed logger, restored after a per-decode override */
+log_lines = []
+elpp.set_logger(test_logger, elpp.LOG_DEBUG)
+elpp.decoder([0, 0x01, 0x58], channel_map, platform, { logger: null })
+assert.strictEqual(log_lines.length, 0)
+elpp.decoder([0, 0x01, 0x58], channel_map, platform)
+assert(log_lines.length > 0)
+elpp.set_logger(null)
+
+var trace_events = []
+elpp.decoder([0, 0x01, 0x58, 5, 0x01, 0x18, 0xa3, 0x13, 0x00], { 0: channel_map[0], 5: { decoder: elpp.motion_decoder } }, platform, {
+    trace: function (event) { trace_events.push(event) }
+})
+assert.deepStrictEqual(trace_events, [
+    { channel: 0, field: 'temp', primitive: 'bitfield_decoder', bit_index: 8, bit_count: 16, raw: 0x0158, value: 21.5 },
+    { channel: 5, field: 'flags', primitive: 'uint8_decoder', bit_index: 32, bit_count: 8, raw: 0x01, value: 1 },
+    { channel: 5, field: 'accel.x', primitive: 'varint32_decoder', bit_index: 40, bit_count: 8, raw: 0x18, value: 12 },
+    { channel: 5, field: 'accel.y', primitive: 'varint32_decoder', bit_index: 48, bit_count: 16, raw: 0xa313, value: -1234 },
+    { channel: 5, field: 'accel.z', primitive: 'varint32_decoder', bit_index: 64, bit_count: 8, raw: 0x00, value: 0 }
+])
+
+/* A processor may decode a nested payload without disturbing the decode that called it */
+var nested_inner = null
+var nested_adc = null
+var nested_result = elpp.decoder([0, 0x01, 0x58, 1, 0xe4, 0x0c], {
+    0: {
+        decoder: elpp.temperature_decoder, processor: function () {
+            nested_inner = elpp.decoder([0, 0x01, 0x58], channel_map, { pre_process: function () { }, post_process: function (obj, result) { return result } })
+        }
+    },
+    1: { decoder: [{ fn: elpp.uint16_decoder, name: 'adc', scale: 0.001, unit: 'V', max: 3 }], processor: function (out) { nested_adc = out[0] } }
+}, result_platform, { engineering: true })
+assert.strictEqual(nested_inner.status, elpp.RESULT_OK)
+assert.strictEqual(nested_adc, 3.3)
+assert.deepStrictEqual(nested_result.out_of_range, [{ channel: 1, field: 'adc', value: 3.3, min: null, max: 3 }])
+
+/* Encoder logger */
+log_lines = []
+encoder.encoder([0, 99], encoder_map, { logger: test_logger, log_level: elpp.LOG_ERROR })
+assert.deepStrictEqual(log_lines, [[elpp.LOG_ERROR, 'channel 99 not found in map']])
+
+log('logger and trace tests passed')
+
+/*------ 64-bit integers ------------------------*/
+log('== 64-bit integers ==')
+
+function round_trip_64(encode, decode, data, args) {
+    var buf = []
+    assert(encode(buf, 0, data, args) > 0, 'encode ' + data)
+    var out = []
+    assert.strictEqual(decode(buf, 0, out, args), buf.length * 8)
+    return { buf: buf, value: out[0] }
+}
+
+;['0', '1', '4294967295', '4294967296', '9007199254740993', '18446744073709551615'].forEach(function (value) {
+    assert.strictEqual(round_trip_64(encoder.uint64_encoder, elpp.uint64_decoder, value).value, value)
+    assert.strictEqual(round_trip_64(encoder.varuint64_encoder, elpp.varuint64_decoder, value).value, value)
+})
+;['0', '-1', '9223372036854775807', '-9223372036854775808', '-4294967296', '-9007199254740993'].forEach(function (value) {
+    assert.strictEqual(round_trip_64(encoder.int64_encoder, elpp.int64_decoder, value).value, value)
+})
+
+assert.deepStrictEqual(round_trip_64(encoder.uint64_encoder, elpp.uint64_decoder, 0x123456789a).buf, [0x9a, 0x78, 0x56, 0x34, 0x12, 0, 0, 0])
+assert.deepStrictEqual(round_trip_64(encoder.int64_encoder, elpp.int64_decoder, -2).buf, [0xfe, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])
+assert.deepStrictEqual(round_trip_64(encoder.varuint64_encoder, elpp.varuint64_decoder, 300).buf, [0xac, 0x02])
+assert.deepStrictEqual(round_trip_64(encoder.varuint64_encoder, elpp.varuint64_decoder, '18446744073709551615').buf,
+    [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01])
+
+/* Output formats */
+assert.strictEqual(round_trip_64(encoder.int64_encoder, elpp.int64_decoder, BigInt('-9223372036854775808'), { format: 'bigint' }).value, BigInt('-9223372036854775808'))
+assert.strictEqual(round_trip_64(encoder.uint64_encoder, elpp.uint64_decoder, Date.UTC(2026, 0, 1), { format: 'number' }).value, Date.UTC(2026, 0, 1))
+
+/* Range checks */
+assert.strictEqual(encoder.uint64_encoder([], 0, '18446744073709551616'), -1)
+assert.strictEqual(encoder.uint64_encoder([], 0, -1), -1)
+assert.strictEqual(encoder.int64_encoder([], 0, '9223372036854775808'), -1)
+assert.strictEqual(encoder.int64_encoder([], 0, '-9223372036854775809'), -1)
+assert.strictEqual(encoder.varuint64_encoder([], 0, 1.5), -1)
+assert.strictEqual(elpp.varuint64_decoder([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01], 0, []), -1)
+/* the 10th byte can only hold bit 63 */
+assert.strictEqual(elpp.varuint64_decoder([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x02], 0, []), -1)
+assert.strictEqual(elpp.varuint64_decoder([0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x7f], 0, []), -1)
+var varuint64_top = []
+assert.strictEqual(elpp.varuint64_decoder([0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x01], 0, varuint64_top), 80)
+assert.deepStrictEqual(varuint64_top, ['9223372036854775808'])
+
+log('64-bit integer tests passed')
+
+/*------ Floating point ------------------------*/
+log('== floating point ==')
+
+function float_bytes(encode, value) {
+    var buf = []
+    encode(buf, 0, value)
+    return buf
+}
+
+function float_value(decode, buf) {
+    var out = []
+    decode(buf, 0, out)
+    return out[0]
+}
+
+/* float32 against Node's own IEEE-754 implementation */
+var f32_values = [0, -0, 1, -2.5, 0.1, 1 / 3, 3.4028234663852886e38, 3.5e38, 1.1754943508222875e-38, 1.401298464324817e-45, 7e-46, 1e-46, Infinity, -Infinity]
+for (var i = 0; i < 1000; i++) {
+    f32_values.push((Math.random() - 0.5) * Math.pow(2, Math.floor(Math.random() * 280) - 140))
+}
+f32_values.forEach(function (value) {
+    var node_buf = Buffer.alloc(4)
+    node_buf.writeFloatLE(value)
+    var buf = float_bytes(encoder.float32_encoder, value)
+    assert.deepStrictEqual(buf, Array.from(node_buf), 'float32 encode ' + value)
+    assert(Object.is(float_value(elpp.float32_decoder, buf), node_buf.readFloatLE()), 'float32 decode ' + value)
+})
+assert(isNaN(float_value(elpp.float32_decoder, float_bytes(encoder.float32_encoder, NaN))))
+
+/* float16 bit patterns */
+var f16_vectors = [
+    [1, 0x3c00], [-2, 0xc000], [65504, 0x7bff], [65520, 0x7c00], [-Infinity, 0xfc00],
+    [0.333251953125, 0x3555], [6.103515625e-5, 0x0400], [5.960464477539063e-8, 0x0001], [-0, 0x8000]
+]
+f16_vectors.forEach(function (vec) {
+    var buf = float_bytes(encoder.float16_encoder, vec[0])
+    assert.deepStrictEqual(buf, [vec[1] & 0xff, vec[1] >> 8], 'float16 encode ' + vec[0])
+    var expected = (vec[0] == 65520) ? Infinity : vec[0]
+    assert(Object.is(float_value(elpp.float16_decoder, buf), expected), 'float16 decode ' + vec[0])
+})
+/* rounding to nearest, ties to even */
+assert.strictEqual(float_value(elpp.float16_decoder, float_bytes(encoder.float16_encoder, 1 + Math.pow(2, -11))), 1)
+assert.strictEqual(float_value(elpp.float16_decoder, float_bytes(encoder.float16_encoder, 1 + 3 * Math.pow(2, -11))), 1 + Math.pow(2, -9))
+assert(isNaN(float_value(elpp.float16_decoder, float_bytes(encoder.float16_encoder, NaN))))
+assert.strictEqual(encoder.float16_encoder([], 0, '1.0'), -1)
+
+log('floating point tests passed')
+
+/*------ Conditional fields ------------------------*/
+log('== conditional fields ==')
+
+var cond_accel = [
+    { fn: elpp.int16_decoder, name: 'x' },
+    { fn: elpp.int16_decoder, name: 'y', when: { field: 'axes', bit: 1 } },
+]
+var cond_type = [
+    { fn: elpp.uint8_decoder, name: 'flags' },
+    { fn: elpp.uint8_decoder, name: 'mode', when: { field: 'flags', bit: 0 } },
+    { fn: elpp.uint16_decoder, name: 'extra', when: { field: 'mode', equals: 2 } },
+    { fn: elpp.uint8_decoder, name: 'axes' },
+    { decoder: cond_accel, name: 'accel' },
+]
+var cond_map = { 7: { decoder: cond_type, processor: function (out, obj) { obj.cond = out }, output: elpp.OUTPUT_NAMED } }
+
+var cond_enc_accel = [
+    { fn: encoder.int16_encoder, name: 'x' },
+    { fn: encoder.int16_encoder, name: 'y', when: { field: 'axes', bit: 1 } },
+]
+var cond_enc_type = [
+    { fn: encoder.uint8_encoder, name: 'flags' },
+    { fn: encoder.uint8_encoder, name: 'mode', when: { field: 'flags', bit: 0 } },
+    { fn: encoder.uint16_encoder, name: 'extra', when: { field: 'mode', equals: 2 } },
+    { fn: encoder.uint8_encoder, name: 'axes' },
+    { encoder: cond_enc_accel, name: 'accel' },
+]
+
+function cond_round_trip(values) {
+    var buf = encoder.encoder([7], { 7: { encoder: cond_enc_type, provider: function () { return values.slice() } } })
+    var cond_platform = {
+        pre_process: function (obj) { },
+        post_process: function (obj, result) { assert.strictEqual(result.status, elpp.RESULT_OK); return obj.cond }
+    }
+    return { buf: buf, value: elpp.decoder(buf, cond_map, cond_platform) }
+}
+
+/* All present */
+var cond_all = cond_round_trip([1, 2, 0x1234, 2, -5, 6])
+assert.deepStrictEqual(cond_all.buf, [7, 1, 2, 0x34, 0x12, 2, 0xfb, 0xff, 6, 0])
+assert.deepStrictEqual(cond_all.value, { flags: 1, mode: 2, extra: 0x1234, axes: 2, accel: { x: -5, y: 6 } })
+
+/* Absent fields are not sent, and decode as null */
+var cond_none = cond_round_trip([0, 2, 0x1234, 0, -5, 6])
+assert.deepStrictEqual(cond_none.buf, [7, 0, 0, 0xfb, 0xff])
+assert.deepStrictEqual(cond_none.value, { flags: 0, mode: null, extra: null, axes: 0, accel: { x: -5, y: null } })
+
+var cond_mode = cond_round_trip([1, 3, 0x1234, 2, -5, 6])
+assert.deepStrictEqual(cond_mode.buf, [7, 1, 3, 2, 0xfb, 0xff, 6, 0])
+assert.deepStrictEqual(cond_mode.value, { flags: 1, mode: 3, extra: null, axes: 2, accel: { x: -5, y: 6 } })
+
+/* Positional output keeps a null slot per absent field */
+var cond_flat = null
+elpp.decoder([7, 0, 0, 0xfb, 0xff], { 7: { decoder: cond_type, processor: function (out) { cond_flat = out } } }, platform)
+assert.deepStrictEqual(cond_flat, [0, null, null, 0, -5, null])
+
+/* Conditions survive schema loading */
+var cond_schema_map = elpp.schema_decoder_map({
+    channels: { 7: { type: [{ type: 'uint8', name: 'flags' }, { type: 'uint8', name: 'mode', when: { field: 'flags', bit: 0 } }] } }
+})
+assert.deepStrictEqual(cond_schema_map[7].decoder[1].when, { field: 'flags', bit: 0 })
+
+log('conditional fields tests passed')
+
+/*------ Byte order ------------------------*/
+log('== byte order ==')
+
+var big = { endian: elpp.ENDIAN_BIG }
+var endian_vectors = [
+    [encoder.uint16_encoder, elpp.uint16_decoder, 0x1234, [0x12, 0x34]],
+    [encoder.uint32_encoder, elpp.uint32_decoder, 0x89abcdef, [0x89, 0xab, 0xcd, 0xef]],
+    [encoder.int16_encoder, elpp.int16_decoder, -2, [0xff, 0xfe]],
+    [encoder.int32_encoder, elpp.int32_decoder, -0x12345678, [0xed, 0xcb, 0xa9, 0x88]],
+    [encoder.uint64_encoder, elpp.uint64_decoder, '81985529216486895', [0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef]],
+    [encoder.int64_encoder, elpp.int64_decoder, '-2', [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe]],
+    [encoder.float16_encoder, elpp.float16_decoder, -2, [0xc0, 0x00]],
+    [encoder.float32_encoder, elpp.float32_decoder, 1.5, [0x3f, 0xc0, 0x00, 0x00]],
+]
+endian_vectors.forEach(function (vec) {
+    var buf = []
+    vec[0](buf, 0, vec[2], big)
+    assert.deepStrictEqual(buf, vec[3], vec[0].name)
+    var out = []
+    assert.strictEqual(vec[1](buf, 0, out, big), buf.length * 8)
+    assert.strictEqual(out[0], vec[2], vec[1].name)
+    /* the default stays little-endian */
+    var le_buf = []
+    vec[0](le_buf, 0, vec[2], { endian: elpp.ENDIAN_LITTLE })
+    assert.deepStrictEqual(le_buf, vec[3].slice().reverse(), vec[0].name)
+})
+
+/* Per field, from a schema */
+var endian_map = elpp.schema_decoder_map({
+    channels: { 3: { type: [{ type: 'uint16', name: 'be', args: { endian: 'big' } }, { type: 'uint16', name: 'le' }], output: 'named' } }
+}, {})
+var endian_out = null
+endian_map[3].processor = function (out) { endian_out = out }
+elpp.decoder([3, 0x12, 0x34, 0x12, 0x34], endian_map, platform)
+assert.deepStrictEqual(endian_out, { be: 0x1234, le: 0x3412 })
+
+log('byte order tests passed')
+
+/*------ Alignment modes ------------------------*/
+log('== alignment modes ==')
+
+var nibble_dec = [{ fn: elpp.bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'level' }]
+var nibble_enc = [{ fn: encoder.bitfield_encoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'level' }]
+var align_dec_map = {
+    1: { decoder: nibble_dec, processor: function (out, obj) { obj.values.push(out.level) }, output: elpp.OUTPUT_NAMED },
+    2: { decoder: [{ fn: elpp.uint16_decoder, name: 'v' }, { fn: elpp.varint32_decoder, name: 'd' }], processor: function (out, obj) { obj.values.push([out.v, out.d]) }, output: elpp.OUTPUT_NAMED },
+}
+var align_enc_map = {
+    1: { encoder: nibble_enc, provider: function () { return [0xa] } },
+    2: { encoder: [{ fn: encoder.uint16_encoder }, { fn: encoder.varint32_encoder }], provider: function () { return [0x1234, -300] } },
+}
+var align_platform = {
+    pre_process: function (obj) { obj.values = [] },
+    post_process: function (obj, result) { obj.result = result; return obj }
+}
+
+/* Byte mode pads each channel */
+var byte_buf = encoder.encoder([1, 2, 1], align_enc_map)
+assert.deepStrictEqual(byte_buf, [1, 0xa0, 2, 0x34, 0x12, 0xd7, 0x04, 1, 0xa0])
+assert.deepStrictEqual(elpp.decoder(byte_buf, align_dec_map, align_platform).values, [0xa, [0x1234, -300], 0xa])
+
+/* Packed mode shares bytes between channels */
+var packed_buf = encoder.encoder([1, 2, 1], align_enc_map, { alignment: elpp.ALIGN_PACKED })
+assert.deepStrictEqual(packed_buf, [0x01, 0xa0, 0x23, 0x41, 0x2d, 0x70, 0x40, 0x1a])
+var packed_obj = elpp.decoder(packed_buf, align_dec_map, align_platform, { alignment: elpp.ALIGN_PACKED })
+assert.deepStrictEqual(packed_obj.values, [0xa, [0x1234, -300], 0xa])
+assert.strictEqual(packed_obj.result.status, elpp.RESULT_OK)
+assert.strictEqual(packed_obj.result.bytes_consumed, 8)
+
+/* A long packed payload alternating between bit offsets, through both decode paths */
+var long_list = []
+var long_values = []
+for (var i = 0; i < 200; i++) {
+    long_list.push(i % 3 ? 2 : 1)
+    long_values.push(i % 3 ? [0x1234, -300] : 0xa)
+}
+var long_buf = encoder.encoder(long_list, align_enc_map, { alignment: elpp.ALIGN_PACKED })
+assert.deepStrictEqual(elpp.decoder(long_buf, align_dec_map, align_platform, { alignment: elpp.ALIGN_PACKED }).values, long_values)
+assert.deepStrictEqual(elpp.decoder(long_buf, elpp.decoder_compile(align_dec_map), align_platform, { alignment: elpp.ALIGN_PACKED }).values, long_values)
+
+/* A packed byte primitive may not read into the padding */
+var short_packed = elpp.decoder([0x01, 0xa0, 0x23, 0x41], align_dec_map, align_platform, { alignment: elpp.ALIGN_PACKED })
+assert.strictEqual(short_packed.result.status, elpp.RESULT_ERROR)
+assert.strictEqual(short_packed.result.field, 'v')
+assert.deepStrictEqual(short_packed.values, [0xa])
+
+/* Strict mode rejects a channel that ends mid-byte */
+var strict_obj = elpp.decoder(byte_buf, align_dec_map, align_platform, { alignment: elpp.ALIGN_STRICT })
+assert.strictEqual(strict_obj.result.status, elpp.RESULT_NOT_ALIGNED)
+assert.strictEqual(strict_obj.result.channel, 1)
+assert.strictEqual(strict_obj.result.bit_index, 12)
+assert.deepStrictEqual(strict_obj.values, [])
+assert.strictEqual(elpp.decoder(test_vec, channel_map, result_platform, { alignment: elpp.ALIGN_STRICT }).status, elpp.RESULT_OK)
+assert.deepStrictEqual(encoder.encoder([1, 2, 1], align_enc_map, { alignment: elpp.ALIGN_STRICT }), [2, 0x34, 0x12, 0xd7, 0x04])
+
+log('alignment mode tests passed')
+
+/*------ Extension channels ------------------------*/
+log('== extension channels ==')
+
+var ext_enc_map = {
+    0: encoder_map[0],
+    0xe1: { encoder: [{ fn: encoder.uint16_encoder }, { fn: encoder.uint8_encoder }], provider: function () { return [0x1234, 7] } },
+    0xe2: { encoder: [{ fn: encoder.dynamic_bytearray_encoder }], provider: function () { return [[1, 2, 3]] } },
+}
+var ext_buf = encoder.encoder([0, 0xe1, 0xe2, 0], ext_enc_map)
+assert.deepStrictEqual(ext_buf, [0, 0xff, 0x35, 0xe1, 3, 0x34, 0x12, 7, 0xe2, 4, 3, 1, 2, 3, 0, 0xff, 0x35])
+
+/* An old decoder skips the extension channels it does not know */
+var ext_old = elpp.decoder(ext_buf, { 0: channel_map[0] }, result_platform)
+assert.strictEqual(ext_old.status, elpp.RESULT_OK)
+assert.deepStrictEqual(ext_old.channels, [0, 0])
+assert.deepStrictEqual(ext_old.skipped, [{ channel: 0xe1, bit_index: 24, length: 3 }, { channel: 0xe2, bit_index: 64, length: 4 }])
+
+/* A known extension channel ignores trailing fields it does not know */
+var ext_values = null
+var ext_new = elpp.decoder(ext_buf, {
+    0: channel_map[0],
+    0xe1: { decoder: [{ fn: elpp.uint16_decoder }], processor: function (out) { ext_values = out } }
+}, result_platform)
+assert.deepStrictEqual(ext_new.channels, [0, 0xe1, 0])
+assert.deepStrictEqual(ext_values, [0x1234])
+
+/* The length must fit in the payload, and the type in the length */
+assert.strictEqual(elpp.decoder([0xe1, 4, 0x34, 0x12, 7], {}, result_platform).status, elpp.RESULT_ERROR)
+var ext_over = elpp.decoder([0xe1, 1, 0x34, 0x12], { 0xe1: { decoder: [{ fn: elpp.uint16_decoder }] } }, result_platform)
+assert.strictEqual(ext_over.status, elpp.RESULT_ERROR)
+assert.strictEqual(ext_over.bit_index, 24)
+
+/* Lengths whose bit counts overflow 32 bits, on known and unknown channels */
+var ext_known_map = { 0xe1: { decoder: [{ fn: elpp.uint8_decoder }], processor: function (out) { ext_values = out } } }
+ext_values = null
+var ext_huge_lengths = [[0xff, 0xff, 0xff, 0xff, 0x01], [0x80, 0x80, 0x80, 0x80, 0x02]] /* 2^29 - 1, 2^29 */
+ext_huge_lengths.forEach(function (len) {
+    var ext_huge = [0xe1].concat(len, [17])
+    var ext_res = elpp.decoder(ext_huge, ext_known_map, result_platform)
+    assert.strictEqual(ext_res.status, elpp.RESULT_ERROR)
+    assert.strictEqual(ext_res.channel, 0xe1)
+    assert.strictEqual(ext_res.bit_index, 8)
+    ext_res = elpp.decoder(ext_huge, {}, result_platform)
+    assert.strictEqual(ext_res.status, elpp.RESULT_ERROR)
+    assert.strictEqual(ext_res.channel, 0xe1)
+})
+assert.strictEqual(ext_values, null)
+
+/* Framing in packed mode */
+var ext_packed_map = { 1: align_enc_map[1], 0xe1: ext_enc_map[0xe1] }
+var ext_packed = encoder.encoder([1, 0xe1, 1], ext_packed_map, { alignment: elpp.ALIGN_PACKED })
+var ext_packed_obj = elpp.decoder(ext_packed, { 1: align_dec_map[1] }, align_platform, { alignment: elpp.ALIGN_PACKED })
+assert.deepStrictEqual(ext_packed_obj.values, [0xa, 0xa])
+assert.deepStrictEqual(ext_packed_obj.result.skipped, [{ channel: 0xe1, bit_index: 12, length: 3 }])
+
+log('extension channel tests passed')
+
+/*------ Map registry ------------------------*/
+log('== map registry ==')
+
+var map_v1 = { 1: { decoder: [{ fn: elpp.uint8_decoder }], processor: function (out, obj) { obj.values.push(['v1', out[0]]) } } }
+var map_v2 = { 1: { decoder: [{ fn: elpp.uint16_decoder }], processor: function (out, obj) { obj.values.push(['v2', out[0]]) } } }
+var registry = { 9: { 1: map_v1, 2: map_v2 } }
+var enc_registry = {
+    9: {
+        1: { 1: { encoder: [{ fn: encoder.uint8_encoder }], provider: function () { return [0x12] } } },
+        2: { 1: { encoder: [{ fn: encoder.uint16_encoder }], provider: function () { return [0x1234] } } },
+    }
+}
+
+assert.strictEqual(elpp.registry_version(registry, 9), 1)
+assert.strictEqual(elpp.registry_version(registry, 9, 2), 2)
+assert.strictEqual(elpp.registry_version(registry, 9, 3), null)
+assert.strictEqual(elpp.registry_version(registry, 8), null)
+
+/* Payloads of old devices have no version channel and get the lowest version */
+var v1_buf = encoder.encoder([1], enc_registry, { port: 9 })
+assert.deepStrictEqual(v1_buf, [1, 0x12])
+var v1_obj = elpp.decoder(v1_buf, registry, align_platform, { port: 9 })
+assert.deepStrictEqual(v1_obj.values, [['v1', 0x12]])
+assert.strictEqual(v1_obj.result.version, 1)
+
+/* New devices name their version */
+var v2_buf = encoder.encoder([1, 1], enc_registry, { port: 9, version: 2 })
+assert.deepStrictEqual(v2_buf, [elpp.VERSION_CHANNEL, 2, 1, 0x34, 0x12, 1, 0x34, 0x12])
+var v2_obj = elpp.decoder(v2_buf, registry, align_platform, { port: 9 })
+assert.deepStrictEqual(v2_obj.values, [['v2', 0x1234], ['v2', 0x1234]])
+assert.strictEqual(v2_obj.result.version, 2)
+assert.strictEqual(v2_obj.result.bytes_consumed, 8)
+
+/* ... or it is implied by the platform */
+assert.deepStrictEqual(elpp.decoder([1, 0x34, 0x12], registry, align_platform, { port: 9, version: 2 }).values, [['v2', 0x1234]])
+
+/* Unknown port or version */
+var v3_obj = elpp.decoder([elpp.VERSION_CHANNEL, 3, 1, 0], registry, align_platform, { port: 9 })
+assert.strictEqual(v3_obj.result.status, elpp.RESULT_MAP_NOT_FOUND)
+assert.strictEqual(v3_obj.result.version, 3)
+assert.deepStrictEqual(v3_obj.values, [])
+assert.strictEqual(elpp.decoder([1, 0], registry, align_platform, { port: 8 }).result.status, elpp.RESULT_MAP_NOT_FOUND)
+assert.deepStrictEqual(encoder.encoder([1], enc_registry, { port: 9, version: 3 }), [])
+
+/* A plain map passes over the version channel */
+var plain_obj = elpp.decoder([elpp.VERSION_CHANNEL, 1, 1, 0x12], map_v1, align_platform)
+assert.deepStrictEqual(plain_obj.values, [['v1', 0x12]])
+assert.strictEqual(plain_obj.result.version, 1)
+
+log('map registry tests passed')
+
+/*------ Wide bitfields ------------------------*/
+log('== wide bitfields ==')
+
+function bitfield_round_trip(args, value, bit_offset) {
+    var buf = bit_offset ? [0] : []
+    assert.strictEqual(encoder.bitfield_encoder(buf, bit_offset, value, args), args.i_bits + args.f_bits)
+    var out = []
+    assert.strictEqual(elpp.bitfield_decoder(buf, bit_offset, out, args), args.i_bits + args.f_bits)
+    return out[0]
+}
+
+/* Every width, sign and split, at the extremes and a few values between, aligned or not */
+for (var bitn = 1; bitn <= elpp.MAX_BITFIELD_BITS; bitn++) {
+    for (var f_bits = 0; f_bits <= bitn; f_bits++) {
+        for (var sign = 0; sign <= 1; sign++) {
+            if (sign && f_bits == bitn) {
+                continue
+            }
+            var args = { sign: sign, i_bits: bitn - f_bits, f_bits: f_bits }
+            var scale = Math.pow(2, f_bits)
+            var max = (Math.pow(2, bitn - sign) - 1) / scale
+            var min = sign ? -Math.pow(2, bitn - 1) / scale : 0
+            var values = [min, max, 0, 1 / scale, Math.floor(max / 3 * scale) / scale]
+            if (sign) {
+                values.push(-1 / scale, Math.ceil(min / 3 * scale) / scale + 0)
+            }
+            values.forEach(function (value) {
+                if (value <= max && value >= min) {
+                    assert.strictEqual(bitfield_round_trip(args, value, 0), value, JSON.stringify(args) + ' ' + value)
+                    assert.strictEqual(bitfield_round_trip(args, value, 3), value, JSON.stringify(args) + ' ' + value + ' at bit 3')
+                }
+            })
+            /* overflow clamps to the extremes */
+            assert.strictEqual(bitfield_round_trip(args, max + 1, 0), max)
+            assert.strictEqual(bitfield_round_trip(args, min - 1, 0), min)
+        }
+    }
+}
+
+/* 32-bit unsigned values with the top bit set stay positive */
+var wide_buf = []
+encoder.bitfield_encoder(wide_buf, 0, 0xdeadbeef, { sign: 0, i_bits: 32, f_bits: 0 })
+assert.deepStrictEqual(wide_buf, [0xde, 0xad, 0xbe, 0xef])
+assert.strictEqual(bitfield_round_trip({ sign: 0, i_bits: 32, f_bits: 0 }, 0xdeadbeef, 5), 0xdeadbeef)
+assert.strictEqual(bitfield_round_trip({ sign: 1, i_bits: 32, f_bits: 0 }, -0x7fffffff, 0), -0x7fffffff)
+
+/* Wider than exact is refused */
+assert.strictEqual(encoder.bitfield_encoder([], 0, 1, { sign: 0, i_bits: 54, f_bits: 0 }), -1)
+assert.strictEqual(elpp.bitfield_decoder([0, 0, 0, 0, 0, 0, 0, 0], 0, [], { sign: 0, i_bits: 54, f_bits: 0 }), -1)
+
+log('wide bitfield tests passed')
+
+/*------ Engineering units ------------------------*/
+log('== engineering units ==')
+
+var battery_vec = encoder.encoder([11], { 11: { encoder: encoder.battery_encoder, provider: function () { return [3.3, 12.5, 1000.001, -5.25] } } }, { engineering: true })
+assert.deepStrictEqual(battery_vec, [11, 0xe4, 0x0c, 0x00, 0x30, 0xd4, 0x0f, 0x42, 0x41, 0xff, 0xac])
+
+var eng_out = null
+var eng_map = { 11: { decoder: elpp.battery_decoder, processor: function (out) { eng_out = out }, output: elpp.OUTPUT_NAMED } }
+
+/* Raw values by default */
+elpp.decoder(battery_vec, eng_map, platform)
+assert.deepStrictEqual(eng_out, { voltage: 3300, current: 12500, accum_current: 1000001, temperature: { temp: -5.25 } })
+
+/* Engineering values */
+elpp.decoder(battery_vec, eng_map, platform, { engineering: true })
+assert.deepStrictEqual(eng_out, { voltage: 3.3, current: 12.5, accum_current: 1000.001, temperature: { temp: -5.25 } })
+
+/* ... with units, which the encoder takes back */
+elpp.decoder(battery_vec, eng_map, platform, { engineering: true, units: true })
+assert.deepStrictEqual(eng_out, {
+    voltage: { value: 3.3, unit: 'V' },
+    current: { value: 12.5, unit: 'mA' },
+    accum_current: { value: 1000.001, unit: 'mAh' },
+    temperature: { temp: { value: -5.25, unit: '°C' } }
+})
+var eng_values = [eng_out.voltage, eng_out.current, eng_out.accum_current, eng_out.temperature.temp]
+assert.deepStrictEqual(encoder.encoder([11], { 11: { encoder: encoder.battery_encoder, provider: function () { return eng_values } } }, { engineering: true }), battery_vec)
+
+/* Flat output gets the plain values */
+var eng_flat = null
+elpp.decoder(battery_vec, { 11: { decoder: elpp.battery_decoder, processor: function (out) { eng_flat = out } } }, platform, { engineering: true, units: true })
+assert.deepStrictEqual(eng_flat, [3.3, 12.5, 1000.001, -5.25])
+
+/* Scale with offset, and range reporting */
+var range_map = {
+    1: { decoder: [{ fn: elpp.uint8_decoder, name: 'level', scale: 0.5, offset: -40, unit: '°C', min: -20, max: 50 }], processor: function (out) { eng_out = out }, output: elpp.OUTPUT_NAMED },
+    2: { decoder: elpp.location_decoder }
+}
+var range_result = elpp.decoder([1, 100, 1, 10, 1, 200], range_map, result_platform, { engineering: true })
+assert.strictEqual(range_result.status, elpp.RESULT_OK)
+assert.deepStrictEqual(range_result.out_of_range, [
+    { channel: 1, field: 'level', value: -35, min: -20, max: 50 },
+    { channel: 1, field: 'level', value: 60, min: -20, max: 50 }
+])
+assert.deepStrictEqual(eng_out, { level: 60 })
+var loc_buf = encoder.encoder([2], { 2: { encoder: [{ fn: encoder.bitfield_encoder, args: { sign: 1, i_bits: 8, f_bits: 20 } }, { fn: encoder.bitfield_encoder, args: { sign: 1, i_bits: 9, f_bits: 20 } }, { fn: encoder.bitfield_encoder, args: { sign: 1, i_bits: 17, f_bits: 6 } }], provider: function () { return [100, -12.5, 30] } } })
+var loc_range = elpp.decoder(loc_buf, range_map, result_platform)
+assert.deepStrictEqual(loc_range.out_of_range, [{ channel: 2, field: 'lat', value: 100, min: -90, max: 90 }])
+
+log('engineering unit tests passed')
+
+/*------ Enums and flag sets ------------------------*/
+log('== enums and flag sets ==')
+
+var labels_out = null
+var labels_map = {
+    5: { decoder: elpp.motion_decoder, processor: function (out) { labels_out = out }, output: elpp.OUTPUT_NAMED },
+    20: { decoder: elpp.antelope_message_tapos_decoder, processor: function (out) { labels_out = out }, output: elpp.OUTPUT_NAMED },
+}
+var motion_vec = [5, 0x01, 0x18, 0xa3, 0x13, 0x00]
+
+/* Plain values by default */
+elpp.decoder(motion_vec, labels_map, platform)
+assert.strictEqual(labels_out.flags, 1)
+
+elpp.decoder(motion_vec, labels_map, platform, { labels: true })
+assert.deepStrictEqual(labels_out, { flags: { activity_detected: true }, accel: { x: 12, y: -1234, z: 0 } })
+elpp.decoder([5, 0x84, 0, 0, 0], labels_map, platform, { labels: true })
+assert.deepStrictEqual(labels_out.flags, { activity_detected: false, bit2: true, bit7: true })
+
+var tapos_vec = [20, 0x03, 1, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+elpp.decoder(tapos_vec, labels_map, platform, { labels: true })
+assert.strictEqual(labels_out.chain, 'telos_mainnet')
+tapos_vec[2] = 5
+elpp.decoder(tapos_vec, labels_map, platform, { labels: true })
+assert.strictEqual(labels_out.chain, 5)
+
+/* The encoder takes labels and flag objects */
+var labels_enc_map = {
+    5: { encoder: encoder.motion_encoder, provider: function () { return [{ activity_detected: true }, 12, -1234, 0] } },
+    20: { encoder: encoder.antelope_message_tapos_encoder, provider: function () { return [3, 'telos_mainnet', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]] } },
+}
+assert.deepStrictEqual(encoder.encoder([5], labels_enc_map), motion_vec)
+tapos_vec[2] = 1
+assert.deepStrictEqual(encoder.encoder([20], labels_enc_map), tapos_vec)
+assert.strictEqual(encoder.encoder([5], { 5: { encoder: encoder.motion_encoder, provider: function () { return [{ activity_detected: false, bit2: true, bit7: true }, 0, 0, 0] } } })[1], 0x84)
+assert.deepStrictEqual(encoder.encoder([5], { 5: { encoder: encoder.motion_encoder, provider: function () { return [{ moving: true }, 0, 0, 0] } } }), [])
+assert.deepStrictEqual(encoder.encoder([20], { 20: { encoder: encoder.antelope_message_tapos_encoder, provider: function () { return [3, 'eos', []] } } }), [])
+
+/* Flag sets without named bits yet give 'bitN' for each set bit, both ways */
+var devstartup_labeled = null
+var devstartup_vec = encoder.encoder([30], { 30: { encoder: encoder.devstartup_encoder, provider: function () { return [[2, 1], { bit0: true, bit9: true }] } } })
+assert.deepStrictEqual(devstartup_vec, [30, 2, 2, 1, 0x01, 0x02])
+elpp.decoder(devstartup_vec, { 30: { decoder: elpp.devstartup_decoder, processor: function (out) { devstartup_labeled = out }, output: elpp.OUTPUT_NAMED } }, platform, { labels: true })
+assert.deepStrictEqual(devstartup_labeled.reset_flags, { bit0: true, bit9: true })
+elpp.decoder([10, 0x05, 0, 0, 0, 0, 1, 0x80, 0, 0, 0, 0, 0, 0, 0], {
+    10: { decoder: elpp.time_decoder, processor: function (out) { labels_out = out }, output: elpp.OUTPUT_NAMED },
+    1: { decoder: elpp.particle_decoder, processor: function (out) { labels_out.particle = out }, output: elpp.OUTPUT_NAMED },
+}, platform, { labels: true })
+assert.deepStrictEqual(labels_out.flags, { bit0: true, bit2: true })
+assert.deepStrictEqual(labels_out.particle.flags, { bit7: true })
+
+/* Conditions see the raw value whatever the options */
+var labeled_cond = [
+    { fn: elpp.uint8_decoder, name: 'flags', flags: { 1: 'has_extra' } },
+    { fn: elpp.uint8_decoder, name: 'extra', when: { field: 'flags', bit: 1 } },
+]
+elpp.decoder([7, 2, 9], { 7: { decoder: labeled_cond, processor: function (out) { labels_out = out }, output: elpp.OUTPUT_NAMED } }, platform, { labels: true })
+assert.deepStrictEqual(labels_out, { flags: { has_extra: true }, extra: 9 })
+
+log('enum and flag set tests passed')
+
+/*------ Strings ------------------------*/
+log('== strings ==')
+
+var strings_out = null
+var string_decoders = [
+    { fn: elpp.fixed_string_decoder, args: { length: 8 }, name: 'model' },
+    { fn: elpp.string_decoder, name: 'site' },
+    { fn: elpp.fixed_string_decoder, args: { length: 2, encoding: 'ascii' }, name: 'code' },
+]
+var string_encoders = [
+    { fn: encoder.fixed_string_encoder, args: { length: 8 } },
+    { fn: encoder.string_encoder },
+    { fn: encoder.fixed_string_encoder, args: { length: 2, encoding: 'ascii' } },
+]
+var strings_map = { 9: { decoder: string_decoders, processor: function (out) { strings_out = out }, output: elpp.OUTPUT_NAMED } }
+var strings_in = null
+var strings_enc_map = { 9: { encoder: string_encoders, provider: function () { return strings_in } } }
+
+strings_in = ['ab', 'Zürich €', 'OK']
+var strings_vec = [9, 0x61, 0x62, 0, 0, 0, 0, 0, 0,
+    11, 0x5a, 0xc3, 0xbc, 0x72, 0x69, 0x63, 0x68, 0x20, 0xe2, 0x82, 0xac,
+    0x4f, 0x4b]
+assert.deepStrictEqual(encoder.encoder([9], strings_enc_map), strings_vec)
+elpp.decoder(strings_vec, strings_map, platform)
+assert.deepStrictEqual(strings_out, { model: 'ab', site: 'Zürich €', code: 'OK' })
+
+/* Characters beyond the BMP and a string filling the whole fixed length */
+strings_in = ['12345678', '😀', 'no']
+strings_vec = encoder.encoder([9], strings_enc_map)
+assert.deepStrictEqual(strings_vec.slice(9, 14), [4, 0xf0, 0x9f, 0x98, 0x80])
+elpp.decoder(strings_vec, strings_map, platform)
+assert.deepStrictEqual(strings_out, { model: '12345678', site: '😀', code: 'no' })
+
+/* Too long, not ASCII, or not a string: the channel is left out */
+strings_in = ['123456789', '', 'OK']
+assert.deepStrictEqual(encoder.encoder([9], strings_enc_map), [])
+strings_in = ['', '', 'é']
+assert.deepStrictEqual(encoder.encoder([9], strings_enc_map), [])
+strings_in = [12, '', 'OK']
+assert.deepStrictEqual(encoder.encoder([9], strings_enc_map), [])
+
+/* Invalid UTF-8 sequences (here a bad continuation, an encoded surrogate and 0xff) and non-ASCII bytes decode as U+FFFD */
+elpp.decoder([9, 0x41, 0xc3, 0x28, 0xed, 0xa0, 0x80, 0xff, 0, 3, 0xe2, 0x82, 0x41, 0x80, 0x4b], strings_map, platform)
+assert.deepStrictEqual(strings_out, { model: 'A�(����', site: '�A', code: '�K' })
+
+/* ... as Node decodes them: invalid leads, overlong forms, surrogates and code points above U+10FFFF */
+var utf8_vectors = [
+    [0xf8, 0x80, 0x80], [0xff, 0xbf, 0xbf], [0xfe], [0xc0, 0x80], [0xc1, 0xbf], [0xe0, 0x80, 0x80], [0xe0, 0x9f, 0xbf],
+    [0xed, 0xa0, 0x80], [0xed, 0xbf, 0xbf], [0xf0, 0x80, 0x80, 0x80], [0xf4, 0x90, 0x80, 0x80], [0xf5, 0x80, 0x80, 0x80],
+    [0xe2, 0x82], [0xf0, 0x9f, 0x98], [0xbf, 0x41],
+    /* and valid sequences at the edges of those ranges */
+    [0xc2, 0x80], [0xe0, 0xa0, 0x80], [0xed, 0x9f, 0xbf], [0xee, 0x80, 0x80], [0xf0, 0x90, 0x80, 0x80], [0xf4, 0x8f, 0xbf, 0xbf],
+]
+utf8_vectors.forEach(function (bytes) {
+    var utf8_out = []
+    assert.strictEqual(elpp.fixed_string_decoder(bytes, 0, utf8_out, { length: bytes.length }), bytes.length * 8)
+    assert.strictEqual(utf8_out[0], Buffer.from(bytes).toString('utf8'), bytes.map(function (b) { return b.toString(16) }).join(' '))
+})
+
+/* Truncated */
+var strings_res = elpp.decoder([9, 0x61, 0x62, 0, 0, 0, 0, 0, 0, 5, 0x61], strings_map, result_platform)
+assert.strictEqual(strings_res.status, elpp.RESULT_ERROR)
+assert.strictEqual(strings_res.field, 'site')
+
+log('string tests passed')
+
+/*------ CRC trailer ------------------------*/
+log('== CRC trailer ==')
+
+/* check values of the "123456789" test string */
+var crc_check = [0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39]
+assert.strictEqual(elpp.crc16(crc_check, 0, crc_check.length), 0x29b1)
+assert.strictEqual(elpp.crc32(crc_check, 0, crc_check.length), 0xcbf43926)
+
+var crc_map = { 3: { decoder: [{ fn: elpp.uint16_decoder }] } }
+var crc_enc_map = { 3: { encoder: [{ fn: encoder.uint16_encoder }], provider: function () { return [0x3231] } } }
+var crc16_vec = encoder.encoder([3], crc_enc_map, { crc: elpp.CRC_16 })
+var crc16_plain = [3, 0x31, 0x32]
+assert.deepStrictEqual(crc16_vec, crc16_plain.concat([0xfe], [elpp.crc16(crc16_plain, 0, 3) & 0xff, elpp.crc16(crc16_plain, 0, 3) >> 8]))
+var crc32_vec = encoder.encoder([3, 3], crc_enc_map, { crc: elpp.CRC_32, version: 2 })
+assert.deepStrictEqual(crc32_vec.slice(0, 9), [0xf0, 2, 3, 0x31, 0x32, 3, 0x31, 0x32, 0xff])
+assert.strictEqual(crc32_vec.length, 13)
+
+var crc_res = elpp.decoder(crc16_vec, crc_map, result_platform, { crc: elpp.CRC_16 })
+assert.strictEqual(crc_res.status, elpp.RESULT_OK)
+assert.deepStrictEqual(crc_res.channels, [3])
+assert.strictEqual(crc_res.bytes_consumed, 6)
+crc_res = elpp.decoder(crc32_vec, crc_map, result_platform, { crc: elpp.CRC_32 })
+assert.strictEqual(crc_res.status, elpp.RESULT_OK)
+assert.deepStrictEqual(crc_res.channels, [3, 3])
+assert.strictEqual(crc_res.version, 2)
+
+/* Corrupt, missing or the wrong trailer: no processor runs */
+var crc_processed = 0
+var crc_proc_map = { 3: { decoder: [{ fn: elpp.uint16_decoder }], processor: function () { crc_processed++ } } }
+var crc_bad = crc16_vec.slice()
+crc_bad[1] ^= 0x04
+crc_res = elpp.decoder(crc_bad, crc_proc_map, result_platform, { crc: elpp.CRC_16 })
+assert.strictEqual(crc_res.status, elpp.RESULT_CRC_MISMATCH)
+assert.strictEqual(crc_res.channel, elpp.CRC16_CHANNEL)
+assert.strictEqual(crc_res.bit_index, 24)
+assert.strictEqual(elpp.decoder(crc16_plain, crc_proc_map, result_platform, { crc: elpp.CRC_16 }).status, elpp.RESULT_CRC_MISMATCH)
+assert.strictEqual(elpp.decoder(crc16_vec, crc_proc_map, result_platform, { crc: elpp.CRC_32 }).status, elpp.RESULT_CRC_MISMATCH)
+assert.strictEqual(elpp.decoder(crc16_vec, crc_proc_map, result_platform, { crc: 'md5' }).status, elpp.RESULT_ERROR)
+assert.strictEqual(crc_processed, 0)
+assert.deepStrictEqual(encoder.encoder([3], crc_enc_map, { crc: 'md5' }), [])
+
+/* Packed payloads: the trailer follows the padding */
+var crc_packed_map = { 1: { decoder: [{ fn: elpp.bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 } }] } }
+var crc_packed_enc = { 1: { encoder: [{ fn: encoder.bitfield_encoder, args: { sign: 0, i_bits: 4, f_bits: 0 } }], provider: function () { return [5] } } }
+var crc_packed_vec = encoder.encoder([1], crc_packed_enc, { alignment: elpp.ALIGN_PACKED, crc: elpp.CRC_16 })
+assert.deepStrictEqual(crc_packed_vec.slice(0, 3), [1, 0x50, 0xfe])
+crc_res = elpp.decoder(crc_packed_vec, crc_packed_map, result_platform, { alignment: elpp.ALIGN_PACKED, crc: elpp.CRC_16 })
+assert.strictEqual(crc_res.status, elpp.RESULT_OK)
+assert.strictEqual(crc_res.bytes_consumed, 5)
+
+log('CRC trailer tests passed')
+
+/*------ Compiled maps ------------------------*/
+log('== compiled maps ==')
+
+/* Decode with the map and its compiled copy, and check both give the same processor
+ * outputs and result */
+function check_compiled(bytes, map, options) {
+    var capture_map = {}
+    for (var chan in map) {
+        capture_map[chan] = {
+            decoder: map[chan].decoder,
+            output: map[chan].output,
+            processor: function (out, obj) { obj.outputs.push(out) }
+        }
+    }
+    var capture_platform = {
+        pre_process: function (obj) { obj.outputs = [] },
+        post_process: function (obj, result) { obj.result = result; return obj }
+    }
+    var compiled_map = elpp.decoder_compile(capture_map)
+    var interpreted = elpp.decoder(bytes, capture_map, capture_platform, options)
+    var compiled = elpp.decoder(bytes, compiled_map, capture_platform, options)
+    assert.strictEqual(JSON.stringify(compiled), JSON.stringify(interpreted))
+    return compiled
+}
+
+/* The compiled map is a copy */
+var compiled_map = elpp.decoder_compile(channel_map)
+assert.strictEqual(channel_map[0].steps, undefined)
+assert.strictEqual(compiled_map[0].processor, channel_map[0].processor)
+assert.deepStrictEqual(compiled_map[2].steps.map(function (step) { return step.offset }), [0, -1, -1])
+assert.deepStrictEqual(compiled_map[10].steps.map(function (step) { return step.path }), ['flags', 'epoch'])
+assert.deepStrictEqual(elpp.decoder(test_vec, compiled_map, platform), elpp.decoder(test_vec, channel_map, platform))
+
+check_compiled(test_vec, channel_map)
+check_compiled(test_vec, named_map)
+check_compiled(test_vec.slice(0, 12), named_map)
+check_compiled(battery_vec, eng_map, { engineering: true, units: true })
+check_compiled([1, 100, 1, 10, 1, 200], range_map, { engineering: true })
+check_compiled(loc_buf, range_map)
+check_compiled(motion_vec, labels_map, { labels: true })
+check_compiled(tapos_vec, labels_map, { labels: true })
+check_compiled(packed_buf, align_dec_map, { alignment: elpp.ALIGN_PACKED })
+check_compiled([0x01, 0xa0, 0x23, 0x41], align_dec_map, { alignment: elpp.ALIGN_PACKED })
+check_compiled(byte_buf, align_dec_map, { alignment: elpp.ALIGN_STRICT })
+check_compiled(ext_buf, { 0: channel_map[0], 0xe1: { decoder: [{ fn: elpp.uint16_decoder }] } })
+check_compiled(strings_vec, strings_map)
+assert.strictEqual(check_compiled([9, 0x61, 0x62, 0, 0, 0, 0, 0, 0, 5, 0x61], strings_map).result.field, 'site')
+assert.strictEqual(check_compiled([5, 0x01, 0x18, 0xa3], labels_map).result.field, 'accel.y')
+
+/* Conditional fields are left to the interpreter */
+var compiled_cond = elpp.decoder_compile(cond_map)
+assert.strictEqual(compiled_cond[7].steps, undefined)
+check_compiled([7, 0x05, 1, 2, 3, 4, 5], cond_map)
+
+log('compiled map tests passed')
+
+/*------ Time series ------------------------*/
+log('== time series ==')
+
+var series_out = null
+var series_samples = [
+    { time: 1700000000, value: 21.5 },
+    { time: 1700000060, value: 21.75 },
+    { time: 1700000200, value: -3 },
+]
+var series_enc_map = { 16: { encoder: encoder.temperature_series_encoder, provider: function () { return [series_samples] } } }
+var series_map = { 16: { decoder: elpp.temperature_series_decoder, processor: function (out) { series_out = out }, output: elpp.OUTPUT_NAMED } }
+var series_vec = encoder.encoder([16], series_enc_map)
+assert.deepStrictEqual(series_vec, [16, 0x00, 0xf1, 0x53, 0x65, 3, 0, 0x01, 0x58, 60, 0x01, 0x5c, 0x8c, 0x01, 0xff, 0xd0])
+elpp.decoder(series_vec, series_map, platform)
+assert.deepStrictEqual(series_out, { samples: series_samples })
+
+/* Delta values, with engineering metadata, and a multi-field element */
+var delta_field = { fn: elpp.varint32_decoder, name: 'voltage', scale: 0.001, unit: 'V', max: 3.6 }
+var delta_map = {
+    17: {
+        decoder: [{ decoder: [{ fn: elpp.timeseries_decoder, args: { element: delta_field, delta: true }, name: 'volts' }], name: 'battery' }],
+        processor: function (out) { series_out = out }, output: elpp.OUTPUT_NAMED
+    },
+    18: { decoder: [{ fn: elpp.timeseries_decoder, args: { element: elpp.accel_decoder }, name: 'accel' }], processor: function (out) { series_out = out }, output: elpp.OUTPUT_NAMED },
+}
+var delta_enc_field = { fn: encoder.varint32_encoder, scale: 0.001, unit: 'V' }
+var delta_values = null
+var delta_enc_map = {
+    17: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: delta_enc_field, delta: true } }], provider: function () { return [delta_values] } },
+    18: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: encoder.accel_encoder } }], provider: function () { return [delta_values] } },
+}
+delta_values = [{ time: 100, value: 3.3 }, { time: 110, value: 3.301 }, { time: 120, value: 3.7 }]
+var delta_vec = encoder.encoder([17], delta_enc_map, { engineering: true })
+/* base 100, 3 samples: +0 3300, +10 +1, +10 +399 */
+assert.deepStrictEqual(delta_vec, [17, 100, 0, 0, 0, 3, 0, 0xc8, 0x33, 10, 0x02, 10, 0x9e, 0x06])
+var delta_res = elpp.decoder(delta_vec, delta_map, result_platform, { engineering: true })
+assert.deepStrictEqual(series_out, { battery: { volts: delta_values } })
+assert.deepStrictEqual(delta_res.out_of_range, [{ channel: 17, field: 'battery.voltage', value: 3.7, min: null, max: 3.6 }])
+assert.deepStrictEqual(check_compiled(delta_vec, delta_map, { engineering: true }).result.out_of_range, delta_res.out_of_range)
+elpp.decoder(delta_vec, delta_map, platform)
+assert.deepStrictEqual(series_out.battery.volts.map(function (s) { return s.value }), [3300, 3301, 3700])
+
+delta_values = [{ time: 5, value: { x: 1, y: 2, z: 3 } }, { time: 5, value: { x: -1, y: -2, z: -3 } }]
+elpp.decoder(encoder.encoder([18], delta_enc_map), delta_map, platform)
+assert.deepStrictEqual(series_out, { accel: delta_values })
+elpp.decoder(encoder.encoder([16], { 16: { encoder: encoder.temperature_series_encoder, provider: function () { return [[]] } } }), series_map, platform)
+assert.deepStrictEqual(series_out, { samples: [] })
+
+/* Out of order, truncated or corrupt */
+delta_values = [{ time: 100, value: 3.3 }, { time: 90, value: 3.3 }]
+assert.deepStrictEqual(encoder.encoder([17], delta_enc_map, { engineering: true }), [])
+assert.strictEqual(elpp.decoder(series_vec.slice(0, 12), series_map, result_platform).status, elpp.RESULT_ERROR)
+/* a count of more samples than bytes left */
+assert.strictEqual(elpp.timeseries_decoder([100, 0, 0, 0, 3, 0, 0x01, 0x58], 0, [], { element: elpp.temperature_decoder }), -1)
+assert.strictEqual(elpp.decoder([16, 0, 0, 0, 0, 0x7f, 0], series_map, result_platform).status, elpp.RESULT_ERROR)
+
+/* A delta element must be signed, and each delta must fit it */
+function delta_series(element, values) {
+    return encoder.encoder([17], { 17: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: element, delta: true } }], provider: function () { return [values] } } })
+}
+function delta_samples(values) {
+    return values.map(function (value, i) { return { time: 100 + i, value: value } })
+}
+assert.deepStrictEqual(delta_series({ fn: encoder.uint8_encoder }, delta_samples([10, 5])), [])
+assert.strictEqual(elpp.timeseries_decoder([100, 0, 0, 0, 2, 0, 10, 1, 251], 0, [], { element: { fn: elpp.uint8_decoder }, delta: true }), -1)
+var int8_series = delta_series({ fn: encoder.int8_encoder }, delta_samples([10, 5, -100]))
+assert.deepStrictEqual(int8_series, [17, 100, 0, 0, 0, 3, 0, 10, 1, 0xfb, 1, 0x97])
+var int8_out = []
+elpp.timeseries_decoder(int8_series, 8, int8_out, { element: { fn: elpp.int8_decoder }, delta: true })
+assert.deepStrictEqual(int8_out[0], delta_samples([10, 5, -100]))
+assert.deepStrictEqual(delta_series({ fn: encoder.int8_encoder }, delta_samples([-100, 100])), [])
+assert.deepStrictEqual(delta_series({ fn: encoder.varint32_encoder }, delta_samples([0, 0x80000000])), [])
+assert.deepStrictEqual(delta_series({ fn: encoder.bitfield_encoder, args: { i_bits: 4, f_bits: 0, sign: 1 } }, delta_samples([0, 7, 15])), [])
+assert.deepStrictEqual(delta_series({ fn: encoder.bitfield_encoder, args: { i_bits: 8, f_bits: 0, sign: 0 } }, delta_samples([10, 5])), [])
+
+log('time series tests passed')
+
+/*------ Fragmentation ------------------------*/
+log('== fragmentation ==')
+
+var frag_values = null
+var frag_map = {
+    0: { decoder: elpp.temperature_decoder, processor: function (out, obj) { obj.values.push(out.temp) }, output: elpp.OUTPUT_NAMED },
+    30: { decoder: elpp.devstartup_decoder, processor: function (out, obj) { obj.values.push(out.fw_ver.length) }, output: elpp.OUTPUT_NAMED },
+}
+var frag_enc_map = {
+    0: encoder_map[0],
+    30: { encoder: encoder.devstartup_encoder, provider: function () { return [frag_values, 0xaf03] } },
+}
+frag_values = []
+for (var i = 0; i < 40; i++) {
+    frag_values.push(i)
+}
+var frag_message = encoder.encoder([0, 30, 0], frag_enc_map)
+assert.strictEqual(frag_message.length, 50)
+
+/* Small enough messages are not fragmented */
+assert.deepStrictEqual(encoder.encoder_split([0], frag_enc_map, { mtu: 11 }), [encoder.encoder([0], frag_enc_map)])
+
+var frags = encoder.encoder_split([0, 30, 0], frag_enc_map, { mtu: 20, message_id: 7 })
+assert.strictEqual(frags.length, 4)
+assert.deepStrictEqual(frags[0].slice(0, 4), [elpp.FRAGMENT_CHANNEL, 7, 0, 4])
+assert.deepStrictEqual(frags[3].slice(0, 4), [elpp.FRAGMENT_CHANNEL, 7, 3, 4])
+assert.deepStrictEqual([].concat(frags[0].slice(4), frags[1].slice(4), frags[2].slice(4), frags[3].slice(4)), frag_message)
+frags.forEach(function (frag) { assert.ok(frag.length <= 20) })
+
+/* Fragments are held until the message is complete, in any order */
+var frag_state = elpp.new_reassembly_state()
+var frag_obj = elpp.decoder(frags[2], frag_map, align_platform, { reassembly: frag_state, now: 1000 })
+assert.deepStrictEqual(frag_obj.values, [])
+assert.strictEqual(frag_obj.result.status, elpp.RESULT_OK)
+assert.deepStrictEqual(frag_obj.result.fragment, { id: 7, index: 2, count: 4, received: 1 })
+assert.strictEqual(frag_obj.result.bytes_consumed, 20)
+elpp.decoder(frags[0], frag_map, align_platform, { reassembly: frag_state, now: 1010 })
+elpp.decoder(frags[0], frag_map, align_platform, { reassembly: frag_state, now: 1011 })
+frag_obj = elpp.decoder(frags[3], frag_map, align_platform, { reassembly: frag_state, now: 1020 })
+assert.deepStrictEqual(frag_obj.result.fragment, { id: 7, index: 3, count: 4, received: 3 })
+frag_obj = elpp.decoder(frags[1], frag_map, align_platform, { reassembly: frag_state, now: 1030 })
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+assert.deepStrictEqual(frag_obj.result.channels, [0, 30, 0])
+assert.deepStrictEqual(frag_obj.result.fragment, { id: 7, index: 1, count: 4, received: 4 })
+assert.deepStrictEqual(frag_state.messages, {})
+
+/* An incomplete message times out */
+elpp.decoder(frags[0], frag_map, align_platform, { reassembly: frag_state, now: 2000 })
+elpp.decoder(frags[1], frag_map, align_platform, { reassembly: frag_state, now: 2000 + elpp.FRAGMENT_TIMEOUT + 1 })
+assert.strictEqual(frag_state.messages[7].fragments[0], undefined)
+assert.strictEqual(frag_state.messages[7].received, 1)
+elpp.decoder(frags[2], frag_map, align_platform, { reassembly: frag_state, now: 2000 + elpp.FRAGMENT_TIMEOUT + 12, fragment_timeout: 10 })
+assert.strictEqual(frag_state.messages[7].received, 1)
+
+/* Fragments with CRC trailers, in a registry with a version channel */
+var crc_frags = encoder.encoder_split([0, 30, 0], { 9: { 2: frag_enc_map } }, { mtu: 24, message_id: 1, crc: elpp.CRC_16, port: 9, version: 2 })
+assert.strictEqual(crc_frags.length, 4)
+frag_state = elpp.new_reassembly_state()
+crc_frags.forEach(function (frag) {
+    frag_obj = elpp.decoder(frag, { 9: { 2: frag_map } }, align_platform, { reassembly: frag_state, crc: elpp.CRC_16, port: 9 })
+})
+assert.strictEqual(frag_obj.result.status, elpp.RESULT_OK)
+assert.strictEqual(frag_obj.result.version, 2)
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+
+/* Buffer and Uint8Array fragments, with CRC trailers sliced off Buffers too */
+frag_state = elpp.new_reassembly_state()
+frags.forEach(function (frag, index) {
+    frag_obj = elpp.decoder(index % 2 ? new Uint8Array(frag) : Buffer.from(frag), frag_map, align_platform, { reassembly: frag_state })
+})
+assert.strictEqual(frag_obj.result.status, elpp.RESULT_OK)
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+frag_state = elpp.new_reassembly_state()
+crc_frags.forEach(function (frag) {
+    frag_obj = elpp.decoder(Buffer.from(frag), { 9: { 2: frag_map } }, align_platform, { reassembly: frag_state, crc: elpp.CRC_16, port: 9 })
+})
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+
+/* Without a reassembly state, or with a bad header */
+assert.strictEqual(elpp.decoder(frags[0], frag_map, result_platform).status, elpp.RESULT_CHANNEL_NOT_FOUND)
+assert.strictEqual(elpp.decoder([elpp.FRAGMENT_CHANNEL, 1, 2, 2], frag_map, result_platform, { reassembly: frag_state }).status, elpp.RESULT_ERROR)
+assert.deepStrictEqual(encoder.encoder_split([0, 30, 0], frag_enc_map, { mtu: 4 }), [])
+
+log('fragmentation tests passed')
+
+/*------ Authentication ------------------------*/
+log('== authentication ==')
+
+const auth = require('./decoder-auth')
+
+/* RFC 4493 and RFC 4231 test vectors */
+var cmac_key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex')
+assert.strictEqual(auth.aes_cmac(cmac_key, []).toString('hex'), 'bb1d6929e95937287fa37d129b756746')
+assert.strictEqual(auth.aes_cmac(cmac_key, Buffer.from('6bc1bee22e409f96e93d7e117393172a', 'hex')).toString('hex'), '070a16b46b4d4144f79bdd9dd04a287c')
+assert.strictEqual(auth.aes_cmac(cmac_key, Buffer.from('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411', 'hex')).toString('hex'), 'dfa66747de9ae63030ca32611497c827')
+assert.strictEqual(auth.hmac_sha256(Buffer.from('Jefe'), Buffer.from('what do ya want for nothing?')).toString('hex'), '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843')
+
+var auth_processed = 0
+var auth_map = { 0: { decoder: elpp.temperature_decoder, processor: function () { auth_processed++ } } }
+var auth_enc_map = { 0: encoder_map[0] }
+var auth_vec = encoder.encoder([0], auth_enc_map, { auth: { mac: auth.aes_cmac, key: cmac_key, counter: 5 } })
+assert.deepStrictEqual(auth_vec.slice(0, 8), [0, 0xff, 0x35, elpp.AUTH_CHANNEL, 5, 0, 0, 0])
+assert.deepStrictEqual(auth_vec.slice(8), Array.from(auth.aes_cmac(cmac_key, auth_vec.slice(0, 8)).subarray(0, elpp.AUTH_TAG_BYTES)))
+
+/* Verified before the processors run, then replays are rejected */
+var auth_state = elpp.new_auth_state()
+var auth_options = { auth: { mac: auth.aes_cmac, key: cmac_key, state: auth_state } }
+var auth_res = elpp.decoder(auth_vec, auth_map, result_platform, auth_options)
+assert.strictEqual(auth_res.status, elpp.RESULT_OK)
+assert.strictEqual(auth_res.authenticated, true)
+assert.strictEqual(auth_res.bytes_consumed, auth_vec.length)
+assert.strictEqual(auth_state.counter, 5)
+assert.strictEqual(auth_processed, 1)
+auth_res = elpp.decoder(auth_vec, auth_map, result_platform, auth_options)
+assert.strictEqual(auth_res.status, elpp.RESULT_REPLAY)
+assert.strictEqual(auth_res.authenticated, false)
+
+/* Tampered, wrong key, missing trailer */
+var auth_bad = encoder.encoder([0], auth_enc_map, { auth: { mac: auth.aes_cmac, key: cmac_key, counter: 6 } })
+auth_bad[1] ^= 1
+assert.strictEqual(elpp.decoder(auth_bad, auth_map, result_platform, auth_options).status, elpp.RESULT_AUTH_FAILED)
+auth_bad = encoder.encoder([0], auth_enc_map, { auth: { mac: auth.aes_cmac, key: Buffer.alloc(16), counter: 6 } })
+assert.strictEqual(elpp.decoder(auth_bad, auth_map, result_platform, auth_options).status, elpp.RESULT_AUTH_FAILED)
+assert.strictEqual(elpp.decoder([0, 0xff, 0x35], auth_map, result_platform, auth_options).status, elpp.RESULT_AUTH_FAILED)
+assert.strictEqual(auth_processed, 1)
+assert.strictEqual(auth_state.counter, 5)
+
+/* HMAC-SHA256 with a longer tag, under a CRC trailer */
+var hmac_auth = { mac: auth.hmac_sha256, key: Buffer.from('device key'), tag_bytes: 8, counter: 7 }
+var hmac_vec = encoder.encoder([0], auth_enc_map, { auth: hmac_auth, crc: elpp.CRC_16 })
+assert.strictEqual(hmac_vec.length, 3 + 5 + 8 + 3)
+assert.strictEqual(hmac_vec[hmac_vec.length - 3], elpp.CRC16_CHANNEL)
+auth_res = elpp.decoder(hmac_vec, auth_map, result_platform, { auth: { mac: auth.hmac_sha256, key: hmac_auth.key, tag_bytes: 8, state: auth_state }, crc: elpp.CRC_16 })
+assert.strictEqual(auth_res.status, elpp.RESULT_OK)
+assert.strictEqual(auth_res.authenticated, true)
+assert.strictEqual(auth_res.bytes_consumed, hmac_vec.length)
+
+/* Every fragment is authenticated, with counters counting up */
+var auth_frags = encoder.encoder_split([0, 30, 0], frag_enc_map, { mtu: 24, message_id: 2, auth: { mac: auth.aes_cmac, key: cmac_key, counter: 10 } })
+assert.strictEqual(auth_frags.length, 5)
+var auth_frag_options = { reassembly: elpp.new_reassembly_state(), auth: { mac: auth.aes_cmac, key: cmac_key, state: auth_state } }
+auth_frags.forEach(function (frag) {
+    frag_obj = elpp.decoder(frag, frag_map, align_platform, auth_frag_options)
+    assert.strictEqual(frag_obj.result.authenticated, true)
+})
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+assert.strictEqual(auth_state.counter, 14)
+assert.deepStrictEqual(auth_state.pending, [])
+
+/* A message's fragments may arrive in any order; its counters are accepted once it is complete */
+auth_frags = encoder.encoder_split([0, 30, 0], frag_enc_map, { mtu: 24, message_id: 3, auth: { mac: auth.aes_cmac, key: cmac_key, counter: 20 } })
+var auth_order = [1, 0, 3, 1, 4, 2]
+var auth_statuses = auth_order.map(function (index) {
+    frag_obj = elpp.decoder(auth_frags[index], frag_map, align_platform, auth_frag_options)
+    return frag_obj.result.status
+})
+assert.deepStrictEqual(auth_statuses, [elpp.RESULT_OK, elpp.RESULT_OK, elpp.RESULT_OK, elpp.RESULT_REPLAY, elpp.RESULT_OK, elpp.RESULT_OK])
+assert.deepStrictEqual(frag_obj.values, [-12.6875, 40, -12.6875])
+assert.strictEqual(auth_state.counter, 24)
+assert.deepStrictEqual(auth_state.pending, [])
+assert.strictEqual(elpp.decoder(auth_frags[0], frag_map, align_platform, auth_frag_options).result.status, elpp.RESULT_REPLAY)
+
+/* A later payload closes the window on fragments still to come with lower counters */
+auth_frags = encoder.encoder_split([0, 30, 0], frag_enc_map, { mtu: 24, message_id: 4, auth: { mac: auth.aes_cmac, key: cmac_key, counter: 30 } })
+assert.strictEqual(elpp.decoder(auth_frags[0], frag_map, align_platform, auth_frag_options).result.status, elpp.RESULT_OK)
+assert.deepStrictEqual(auth_state.pending, [30])
+var auth_later = encoder.encoder([0], auth_enc_map, { auth: { mac: auth.aes_cmac, key: cmac_key, counter: 40 } })
+assert.strictEqual(elpp.decoder(auth_later, auth_map, result_platform, auth_frag_options).status, elpp.RESULT_OK)
+assert.deepStrictEqual(auth_state.pending, [])
+assert.strictEqual(elpp.decoder(auth_frags[1], frag_map, align_platform, auth_frag_options).result.status, elpp.RESULT_REPLAY)
+
+/* Processors see the flag when authentication is on */
+var auth_seen = []
+var auth_flag_map = { 0: { decoder: elpp.temperature_decoder, processor: function (out, obj) { auth_seen.push(obj.authenticated) } } }
+elpp.decoder(encoder.encoder([0], auth_enc_map, { auth: { mac: auth.aes_cmac, key: cmac_key, counter: 41 } }), auth_flag_map, result_platform, auth_options)
+elpp.decoder(encoder.encoder([0], auth_enc_map), auth_flag_map, result_platform)
+assert.deepStrictEqual(auth_seen, [true, undefined])
+
+log('authentication tests passed')
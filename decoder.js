@@ -56,26 +56,88 @@ SOFTWARE.
  *      and passing them to decoder(bytes, map, platform).
  */
 
-var DO_DEBUG = true
-var DO_TRACE = true
+/* Logging
+ *
+ * The decoder is silent by default.  A logger is a function (level, msg), e.g. console_logger,
+ * installed for all decodes with set_logger(logger, level), or for one decode with the
+ * 'logger' and 'log_level' decoder options.  Messages up to and including 'level' are logged.
+ */
+var LOG_NONE = 0
+var LOG_ERROR = 1
+var LOG_WARN = 2
+var LOG_INFO = 3
+var LOG_DEBUG = 4
 
-function TRACE(msg) {
-    if (DO_TRACE) {
-        console.log(msg)
-    }
+var LOG_LEVEL_NAMES = ['NONE', 'ERR', 'WARN', 'INFO', 'DEBUG']
+
+var log_fn = null
+var log_level = LOG_NONE
+
+function set_logger(logger, level) {
+    log_fn = logger || null
+    log_level = log_fn ? ((level === undefined) ? LOG_INFO : level) : LOG_NONE
+}
+
+function console_logger(level, msg) {
+    console.log(LOG_LEVEL_NAMES[level] + ': ' + msg)
 }
 
-function TRACE_D(msg) {
-    if (DO_DEBUG) {
-        console.log(msg)
+function LOG(level, msg) {
+    if (log_fn && level <= log_level) {
+        log_fn(level, msg)
     }
 }
 
+function TRACE(msg) {
+    LOG(LOG_DEBUG, msg)
+}
+
+function WARN(msg) {
+    LOG(LOG_WARN, msg)
+}
 
 function ERROR(msg) {
-    if (DO_DEBUG) {
-        console.log('ERR: ' + msg)
+    LOG(LOG_ERROR, msg)
+}
+
+/* Field trace
+ *
+ * A trace callback given in the 'trace' decoder option is called once for every primitive
+ * field decoded, with an event object:
+ *
+ *   {
+ *     channel: 2,                   channel being decoded
+ *     field: 'accel.x',             field name, with the names of enclosing nested types
+ *     primitive: 'varint32_decoder',
+ *     bit_index: 16,                bit offset of the field in the payload
+ *     bit_count: 8,                 bits consumed
+ *     raw: 0x18,                    the consumed bits as an unsigned integer (up to 32 bits),
+ *                                   otherwise the array of bytes they span
+ *     value: 12                     the decoded value
+ *   }
+ */
+var trace_fn = null
+var trace_channel = null
+var trace_path = ''
+
+function trace_field(buf, field, index, bit_index, bit_count, out) {
+    var raw
+    if (bit_count == 0) {
+        raw = 0
+    } else if (bit_count <= 32) {
+        raw = capture_bits(buf, bit_index, bit_index + bit_count - 1) >>> 0
+    } else {
+        raw = buf.slice(bit_index >> 3, (bit_index + bit_count + 7) >> 3)
     }
+    trace_fn({
+        channel: trace_channel,
+        field: trace_path + field_name(field, index),
+        primitive: field.fn.name,
+        bit_index: bit_index,
+        bit_count: bit_count,
+        raw: raw,
+        value: out[out.length - 1]
+    })
 }
 
 /* Primitive type decoders:
@@ -95,6 +157,309 @@ var RESULT_OK = 0
 var RESULT_ERROR = -1
 var RESULT_NOT_ALIGNED = -2
 var RESULT_CHANNEL_NOT_FOUND = -3
+var RESULT_MAP_NOT_FOUND = -4
+var RESULT_CRC_MISMATCH = -5
+var RESULT_AUTH_FAILED = -6
+var RESULT_REPLAY = -7
+
+/* Processor output modes, selected by the 'output' key of a channel map entry:
+ *   OUTPUT_ARRAY - (default) the processor gets a flat array of every primitive's output, in order
+ *   OUTPUT_NAMED - the processor gets an object keyed by field name, with nested types as sub-objects
+ */
+var OUTPUT_ARRAY = 'array'
+var OUTPUT_NAMED = 'named'
+
+/* Byte order of the multi-byte integer and float primitives, selected by 'args.endian'.
+ * ELPP itself is little-endian; big-endian is for bridging third-party frames.
+ */
+var ENDIAN_LITTLE = 'little'
+var ENDIAN_BIG = 'big'
+
+/* Channel alignment modes, selected by the 'alignment' decoder and encoder option:
+ *   ALIGN_BYTE   - (default) a channel that ends mid-byte is padded to the next byte boundary
+ *   ALIGN_STRICT - a channel that ends mid-byte is an error (RESULT_NOT_ALIGNED)
+ *   ALIGN_PACKED - the next channel starts at the very next bit, so channels can share bytes.
+ *                  Any primitive may then start mid-byte.  The last byte is padded with zeros.
+ */
+var ALIGN_BYTE = 'byte'
+var ALIGN_STRICT = 'strict'
+var ALIGN_PACKED = 'packed'
+
+/* Extension channels
+ *
+ * The channel data of channels EXT_CHANNEL_MIN to EXT_CHANNEL_MAX is prefixed by its length
+ * in bytes as a varuint32.  An extension channel missing from the map is skipped (and listed
+ * in the result's 'skipped') rather than ending the decode, so new firmware can add channels
+ * without breaking older decoders.  A known extension channel may be longer than its type;
+ * the rest is skipped too, so fields can be appended to it later.
+ */
+var EXT_CHANNEL_MIN = 0xe0
+var EXT_CHANNEL_MAX = 0xef
+
+function is_extension_channel(chan) {
+    return chan >= EXT_CHANNEL_MIN && chan <= EXT_CHANNEL_MAX
+}
+
+/* Map registry
+ *
+ * A channel map is fixed on both ends of the link, so a revised map is added as a new
+ * version rather than changing the existing one.  A registry holds the versions of the map
+ * of each port:
+ *
+ *   { 9: { 1: channel_map_v1, 2: channel_map_v2 } }
+ *
+ * and is passed to decoder() in place of a map, along with the 'port' option.  A payload
+ * carries its map version in a leading VERSION_CHANNEL (the version as a varuint32).
+ * Without one, the 'version' option is used, or else the lowest version of the port,
+ * which is the map of devices that predate versioning.
+ */
+var VERSION_CHANNEL = 0xf0
+
+/* The version of the port's map to use, or null if there is none */
+function registry_version(registry, port, version) {
+    var versions = has_key(registry, port) ? registry[port] : null
+    if (!versions) {
+        return null
+    }
+    if (version === undefined || version === null) {
+        for (var v in versions) {
+            if (version === undefined || version === null || Number(v) < version) {
+                version = Number(v)
+            }
+        }
+    }
+    return has_key(versions, version) ? Number(version) : null
+}
+
+/* CRC trailer
+ *
+ * Links without link-layer integrity can have the payload end in a CRC trailer, selected by
+ * the 'crc' decoder and encoder option: a CRC channel byte, then the CRC of every byte before
+ * the trailer (version channel included), little-endian.  The decoder checks it before any
+ * channel is decoded, and fails with RESULT_CRC_MISMATCH if it is missing or wrong.
+ *
+ *   CRC_16 - channel CRC16_CHANNEL, CRC-16/CCITT-FALSE (poly 0x1021, init 0xffff)
+ *   CRC_32 - channel CRC32_CHANNEL, CRC-32 as used by Ethernet and zlib
+ *
+ * The trailer starts on a byte boundary, so in packed mode it follows the padding of the last byte.
+ */
+var CRC_16 = 'crc16'
+var CRC_32 = 'crc32'
+var CRC16_CHANNEL = 0xfe
+var CRC32_CHANNEL = 0xff
+
+/* CRC-16/CCITT-FALSE of bytes [start, end) of buf */
+function crc16(buf, start, end) {
+    var crc = 0xffff
+    for (var i = start; i < end; i++) {
+        crc ^= buf[i] << 8
+        for (var b = 0; b < 8; b++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1)
+        }
+        crc &= 0xffff
+    }
+    return crc
+}
+
+/* CRC-32 of bytes [start, end) of buf */
+function crc32(buf, start, end) {
+    var crc = 0xffffffff
+    for (var i = start; i < end; i++) {
+        crc ^= buf[i]
+        for (var b = 0; b < 8; b++) {
+            crc = (crc & 1) ? ((crc >>> 1) ^ 0xedb88320) : (crc >>> 1)
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+/* The trailer of each CRC option */
+var crc_trailers = {
+    crc16: { channel: CRC16_CHANNEL, bytes: 2, fn: crc16 },
+    crc32: { channel: CRC32_CHANNEL, bytes: 4, fn: crc32 },
+}
+
+/* Authentication
+ *
+ * A device holding a key can make its payloads end in an authentication trailer, selected by
+ * the 'auth' decoder and encoder option: the AUTH_CHANNEL byte, a counter (uint32) and a tag,
+ * the first tag_bytes bytes of a MAC of every byte before the tag.  The counter increases
+ * with every payload the device sends, so a replayed payload can be told from a new one.
+ *
+ *   auth: {
+ *     mac:       function (key, bytes) returning the MAC of the array 'bytes' as an array of
+ *                bytes, e.g. HMAC-SHA256 or AES-CMAC (see decoder-auth.js for Node)
+ *     key:       the device's key, as the mac function takes it
+ *     tag_bytes: bytes of the MAC sent (default AUTH_TAG_BYTES)
+ *     state:     (decoder) the device's state (see new_auth_state), for replay detection
+ *     counter:   (encoder) the payload's counter
+ *   }
+ *
+ * The decoder checks the trailer before any channel is decoded: a missing or wrong tag fails
+ * with RESULT_AUTH_FAILED, a counter not above the last one accepted with RESULT_REPLAY.
+ * Otherwise the result's 'authenticated' is true, and is also set on the processors' object
+ * as 'authenticated'.  The trailer goes before any CRC trailer.
+ *
+ * Each fragment of a message (see Fragmentation) has its own trailer.  So that they may
+ * arrive in any order, a fragment's counter is held as pending, and the last counter accepted
+ * moves past the message's counters only once the message is complete; a pending counter seen
+ * again is a replay too.  Fragments arriving after a later payload of the device, with a
+ * higher counter, has been accepted are still rejected as replays.
+ */
+var AUTH_CHANNEL = 0xfc
+var AUTH_COUNTER_BYTES = 4
+var AUTH_TAG_BYTES = 4
+
+function new_auth_state() {
+    return {
+        counter: -1, /* last counter accepted */
+        pending: []  /* counters of fragments of messages not yet complete */
+    }
+}
+
+/* Move the last counter accepted past 'counters', dropping the pending counters it passes */
+function auth_advance(state, counters) {
+    for (var i = 0; i < counters.length; i++) {
+        if (counters[i] > state.counter) {
+            state.counter = counters[i]
+        }
+    }
+    var pending = []
+    for (var p = 0; p < state.pending.length; p++) {
+        if (state.pending[p] > state.counter) {
+            pending.push(state.pending[p])
+        }
+    }
+    state.pending = pending
+}
+
+/* Check the authentication trailer, returning its index, or -1 with result.status set.
+ * The counter of a 'fragment' is held as pending rather than accepted.
+ */
+function authenticate(bytes, auth, result, fragment) {
+    var tag_bytes = auth.tag_bytes || AUTH_TAG_BYTES
+    var index = bytes.length - tag_bytes - AUTH_COUNTER_BYTES - 1
+    if (index < 0 || bytes[index] !== AUTH_CHANNEL) {
+        ERROR('no authentication trailer')
+        result.status = RESULT_AUTH_FAILED
+        return -1
+    }
+    var tag_index = index + 1 + AUTH_COUNTER_BYTES
+    var counter = read_uint(bytes, index + 1, AUTH_COUNTER_BYTES)
+    var mac = auth.mac(auth.key, bytes.slice(0, tag_index))
+    /* compare every byte, taking the same time whichever differ */
+    var diff = (mac && mac.length >= tag_bytes) ? 0 : 1
+    for (var i = 0; i < tag_bytes; i++) {
+        diff |= (mac ? mac[i] : 0) ^ bytes[tag_index + i]
+    }
+    result.channel = AUTH_CHANNEL
+    result.bit_index = index << 3
+    if (diff) {
+        ERROR('authentication failed')
+        result.status = RESULT_AUTH_FAILED
+        return -1
+    }
+    var state = auth.state
+    if (state && (counter <= state.counter || state.pending.indexOf(counter) >= 0)) {
+        ERROR('replayed payload, counter ' + counter + ' after ' + state.counter)
+        result.status = RESULT_REPLAY
+        return -1
+    }
+    if (state && fragment) {
+        state.pending.push(counter)
+    } else if (state) {
+        auth_advance(state, [counter])
+    }
+    result.channel = null
+    result.bit_index = null
+    result.authenticated = true
+    return index
+}
+
+/* Fragmentation
+ *
+ * A message too large for one payload is split over several, each starting with the
+ * FRAGMENT_CHANNEL:
+ *
+ *   0xf1, message id (uint8), fragment index (uint8), fragment count (uint8), fragment data...
+ *
+ * the data running to the end of the payload (or its CRC trailer).  Joined in index order, the
+ * fragments' data is an ordinary payload of channels.
+ *
+ * The decoder reassembles fragments given a reassembly state for the device they came from,
+ * in the 'reassembly' option (see new_reassembly_state).  Until every fragment of a message has
+ * arrived, decoder() decodes nothing and gives the fragment in the result's 'fragment'; the
+ * fragment completing a message decodes the whole message.  Fragments of a message not
+ * completed within 'fragment_timeout' seconds (default FRAGMENT_TIMEOUT) of its first are
+ * dropped.  The 'now' option gives the time of the payload (epoch seconds), e.g. for archives;
+ * it defaults to the current time.
+ */
+var FRAGMENT_CHANNEL = 0xf1
+var FRAGMENT_HEADER_BYTES = 4
+var FRAGMENT_TIMEOUT = 3600
+
+function new_reassembly_state() {
+    return {
+        messages: {} /* message id: { count, time, fragments: [data, ...], received, counters } */
+    }
+}
+
+/* Add the fragment payload 'bytes' to 'state', returning the message once complete, with its
+ * bytes joined in 'bytes', otherwise null with result.fragment set (or result.status on a bad
+ * fragment).  'counter' is the fragment's authentication counter, or null.
+ */
+function reassemble(bytes, state, options, result, counter) {
+    var now = (options.now !== undefined) ? options.now : Date.now() / 1000
+    var timeout = (options.fragment_timeout !== undefined) ? options.fragment_timeout : FRAGMENT_TIMEOUT
+    var id = bytes[1]
+    var index = bytes[2]
+    var count = bytes[3]
+    if (bytes.length < FRAGMENT_HEADER_BYTES || !(count >= 1) || index >= count) {
+        ERROR('bad fragment header')
+        result.status = RESULT_ERROR
+        result.channel = FRAGMENT_CHANNEL
+        result.bit_index = 8
+        return null
+    }
+    for (var key in state.messages) {
+        if (now - state.messages[key].time > timeout) {
+            WARN('dropping incomplete message ' + key + ': ' + state.messages[key].received + ' of ' + state.messages[key].count + ' fragments')
+            delete state.messages[key]
+        }
+    }
+    var message = state.messages[id]
+    if (message && message.count !== count) {
+        /* the id was reused for a new message */
+        WARN('dropping incomplete message ' + id + ': fragment count changed')
+        message = null
+    }
+    if (!message) {
+        message = state.messages[id] = { count: count, time: now, fragments: [], received: 0, counters: [] }
+    }
+    if (counter !== null) {
+        message.counters.push(counter)
+    }
+    if (message.fragments[index] === undefined) {
+        message.received++
+    }
+    /* copied to a plain array, as slicing a Buffer or Uint8Array gives one that concat won't flatten */
+    var data = []
+    for (var i = FRAGMENT_HEADER_BYTES; i < bytes.length; i++) {
+        data.push(bytes[i])
+    }
+    message.fragments[index] = data
+    result.fragment = { id: id, index: index, count: count, received: message.received }
+    if (message.received < count) {
+        TRACE('fragment ' + index + ' of message ' + id + ', ' + message.received + ' of ' + count + ' received')
+        return null
+    }
+    delete state.messages[id]
+    message.bytes = [].concat.apply([], message.fragments)
+    return message
+}
+
+/* alignment mode of the decode in progress */
+var alignment = ALIGN_BYTE
 
 
 /*--- Primitive Decoders ----------------------------------------------------*/
@@ -104,6 +469,53 @@ function check_len(buf, bit_index, bitn, on_boundary) {
     return (buf.length << 3) >= (bit_index + bitn) && (!on_boundary || (on_boundary && ((bit_index & 0x7) == 0)))
 }
 
+/* Read a 1 to 4 byte unsigned integer in the byte order of args.endian (default little) */
+function read_uint(buf, index, bytes, args) {
+    var big = (args && args.endian === ENDIAN_BIG)
+    var word = 0
+    for (var i = 0; i < bytes; i++) {
+        word |= buf[index + (big ? bytes - 1 - i : i)] << (i * 8)
+    }
+    return word >>> 0
+}
+
+/* Byte primitives run on data that starts mid-byte through a copy of the buffer shifted left
+ * by the bit offset of bit_index in its byte, so that bit_index falls on the byte boundary
+ * (bit_index & ~0x7) of the copy.  A partial last byte is padded with zeros.
+ *
+ * There are at most 7 such copies of each buffer, made once per decode and kept in
+ * realign_cache as { buf, copies: [shift: copy] }, so a packed payload of unaligned fields
+ * is not copied again for each one.
+ */
+var realign_cache = []
+
+function realign(buf, bit_index) {
+    var shift = bit_index & 0x7
+    var entry = null
+    for (var i = 0; i < realign_cache.length && !entry; i++) {
+        if (realign_cache[i].buf === buf) {
+            entry = realign_cache[i]
+        }
+    }
+    if (!entry) {
+        entry = { buf: buf, copies: [] }
+        realign_cache.push(entry)
+    }
+    if (!entry.copies[shift]) {
+        var bit_count = buf.length << 3
+        var aligned = []
+        for (var b = shift; b < bit_count; b += 8) {
+            var n = Math.min(8, bit_count - b)
+            aligned.push((capture_bits(buf, b, b + n - 1) << (8 - n)) & 0xff)
+        }
+        entry.copies[shift] = aligned
+    }
+    return entry.copies[shift]
+}
+
+/* Capture the bits from start_bit to end_bit (inclusive) as an unsigned number.
+ * Wider than 32 bits the value is built with arithmetic rather than shifts, exact up to 53 bits.
+ */
 function capture_bits(buf, start_bit, end_bit) {
     /* Setup indices */
     var nbits = end_bit - start_bit + 1
@@ -112,15 +524,12 @@ function capture_bits(buf, start_bit, end_bit) {
     var byte_end = (end_bit / 8) >> 0
     var bit_end = (end_bit % 8) >> 0
 
-    TRACE_D('capture: ' + nbits + ' byte_start ' + byte_start + ' bit_start ' + bit_start + ' byte_end ' + byte_end + ' bit_end ' + bit_end)
-
     /* Case 1: start and end bit land within same byte */
     if (byte_start == byte_end) {
         var bits = buf[byte_start]
         bits <<= bit_start /* 0,1,2.. */
         bits &= 0xff
         bits >>= (bit_start + (7 - bit_end)) /* ..5,6,7 */
-        TRACE_D('  B' + byte_start + ' bits ' + bits.toString(16))
         return bits
     } /* Case 2: start and end bits land on different bytes */
     else {
@@ -129,41 +538,34 @@ function capture_bits(buf, start_bit, end_bit) {
         bits <<= bit_start
         bits &= 0xff
         bits >>= bit_start
-        /* 'consume' bits from total */
-        nbits -= (8 - bit_start)
-        /* Place bits into correct place in output word */
-        var word = bits << (nbits)
-        TRACE_D('  B' + byte_start + ' bits ' + bits.toString(16) + ' word ' + word.toString(16))
+        var word = bits
         /* Capture whole bytes between */
         for (var i = byte_start + 1; i < byte_end; i++) {
-            nbits -= 8
-            word |= (buf[i] << nbits)
-            TRACE_D('  B' + i + ' word ' + word.toString(16))
+            word = word * 256 + buf[i]
         }
         /* Capture last byte */
         bits = buf[byte_end]
         bits &= 0xff
         bits >>= (7 - bit_end)
-        /* 'consume' bits from total */
-        nbits -= (bit_end + 1)
         /* Place bits into correct place in output word */
-        word |= bits << (nbits)
-        TRACE_D('  B' + byte_end + ' bits ' + bits.toString(16) + ' word ' + word.toString(16) + ' nbits ' + nbits)
+        word = word * (1 << (bit_end + 1)) + bits
 
         return word
     }
 }
 
+/* Bitfields may be 1 to MAX_BITFIELD_BITS wide, the widest that decodes exactly */
+var MAX_BITFIELD_BITS = 53
+
 function bitfield_decoder(buf, bit_index, out, args) {
     if (args) {
         var bitn = args.i_bits + args.f_bits
-        if (check_len(buf, bit_index, bitn, 0)) {
+        if (bitn <= MAX_BITFIELD_BITS && check_len(buf, bit_index, bitn, 0)) {
             var value = capture_bits(buf, bit_index, bit_index + bitn - 1)
-            if (args.sign) {
-                var shift = 32 - bitn
-                value = value << shift >> shift
+            if (args.sign && value >= Math.pow(2, bitn - 1)) {
+                value -= Math.pow(2, bitn)
             }
-            value /= (1 << args.f_bits)
+            value /= Math.pow(2, args.f_bits)
             out.push(value)
             return bitn
         }
@@ -171,6 +573,7 @@ function bitfield_decoder(buf, bit_index, out, args) {
     return -1
 }
 
+/* Fails if the buffer ends before the last byte (the one without the 0x80 continuation bit) */
 function varuint32_decoder(buf, bit_index, out) {
     var val = 0
     var bit = 0
@@ -184,33 +587,50 @@ function varuint32_decoder(buf, bit_index, out) {
         bit_count += 8
 
         if (!(b & 0x80)) {
-            break
+            out.push(val >>> 0)
+            return bit_count
         }
     }
-    out.push(val)
-    return bit_count
+    return -1
 }
 
 function varint32_decoder(buf, bit_index, out) {
     var bit_count = varuint32_decoder(buf, bit_index, out)
     if (bit_count > 0) {
         var val = out[out.length - 1]
-        TRACE_D('varint32 in : ' + val)
         if (val & 1) {
             val = ((~val) >> 1) | 0x80000000
         } else {
             val >>>= 1
         }
-        TRACE_D('varint32 out : ' + val)
         out[out.length - 1] = val
     }
     return bit_count
 }
 
-/* Decode a 'name' from the byte-aligned 64-bits
+/* Decode an Antelope 'name' (e.g. 'airv11.meas') from the byte-aligned 64-bits.
+ * The name is a little endian uint64 holding up to 12 characters of 5 bits each,
+ * most significant first, and a 13th character of 4 bits.  Trailing '.' are dropped.
  */
 function name_decoder(buf, bit_index, out) {
-    return 8 * 8
+    if (check_len(buf, bit_index, 64, 1)) {
+        var index = bit_index >> 3
+        var symbols = '.12345abcdefghijklmnopqrstuvwxyz'
+        var str = ''
+        var bit = 63
+        for (var i = 0; i < 13; i++) {
+            var c = 0
+            var nbits = (i < 12) ? 5 : 4
+            for (var j = 0; j < nbits; j++) {
+                c = (c << 1) | ((buf[index + (bit >> 3)] >> (bit & 0x7)) & 1)
+                bit--
+            }
+            str += symbols.charAt(c)
+        }
+        out.push(str.replace(/\.+$/, ''))
+        return 64
+    }
+    return -1
 }
 
 function uint8_decoder(buf, bit_index, out) {
@@ -221,36 +641,413 @@ function uint8_decoder(buf, bit_index, out) {
     return -1
 }
 
-function uint16_decoder(buf, bit_index, out) {
+function uint16_decoder(buf, bit_index, out, args) {
     if (check_len(buf, bit_index, 16, 1)) {
-        var index = bit_index >> 3
-        var word =
-            buf[index + 0] << 0 |
-            buf[index + 1] << 8
-        out.push(word & 0xffff)
+        out.push(read_uint(buf, bit_index >> 3, 2, args))
         return 16
     }
     return -1
 }
 
-function uint32_decoder(buf, bit_index, out) {
+/* Unsigned like uint8 and uint16, so values from 2^31 up (e.g. epochs after 2038) are not negative */
+function uint32_decoder(buf, bit_index, out, args) {
     if (check_len(buf, bit_index, 32, 1)) {
-        var index = bit_index >> 3
-        var word =
-            buf[index + 0] << 0 |
-            buf[index + 1] << 8 |
-            buf[index + 2] << 16 |
-            buf[index + 3] << 24
-        out.push(word & 0xffffffff)
+        out.push(read_uint(buf, bit_index >> 3, 4, args))
         return 32
     }
     return -1
 }
 
+function int8_decoder(buf, bit_index, out) {
+    if (check_len(buf, bit_index, 8, 1)) {
+        out.push(buf[bit_index >> 3] << 24 >> 24)
+        return 8
+    }
+    return -1
+}
+
+function int16_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 16, 1)) {
+        out.push(read_uint(buf, bit_index >> 3, 2, args) << 16 >> 16)
+        return 16
+    }
+    return -1
+}
 
+function int32_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 32, 1)) {
+        out.push(read_uint(buf, bit_index >> 3, 4, args) | 0)
+        return 32
+    }
+    return -1
+}
 
+/* 64-bit integers
+ *
+ * Javascript numbers are only exact to 53 bits and not every engine has BigInt, so the 64-bit
+ * decoders work on two unsigned 32-bit words and by default output an exact decimal string.
+ *   args.format - 'string' (default), 'bigint' (needs BigInt), or 'number' (inexact above 2^53)
+ *   args.endian - byte order of the fixed size types (ENDIAN_LITTLE or ENDIAN_BIG)
+ */
+function u64_format(hi, lo, negative, args) {
+    var format = (args && args.format) ? args.format : 'string'
+    if (format == 'number') {
+        var num = hi * 4294967296 + lo
+        return negative ? -num : num
+    }
+    /* long division of the four 16-bit words by 10000 */
+    var words = [hi >>> 16, hi & 0xffff, lo >>> 16, lo & 0xffff]
+    var str = ''
+    do {
+        var rem = 0
+        var zero = true
+        for (var i = 0; i < 4; i++) {
+            var t = rem * 65536 + words[i]
+            words[i] = Math.floor(t / 10000)
+            rem = t % 10000
+            zero = zero && (words[i] == 0)
+        }
+        var digits = String(rem)
+        if (!zero) {
+            digits = ('0000' + digits).slice(-4)
+        }
+        str = digits + str
+    } while (!zero)
+    if (negative && str != '0') {
+        str = '-' + str
+    }
+    return (format == 'bigint') ? BigInt(str) : str
+}
+
+/* Two's complement negation of a 64-bit value as unsigned 32-bit words */
+function u64_negate(hi, lo) {
+    lo = (~lo + 1) >>> 0
+    hi = (~hi + (lo == 0 ? 1 : 0)) >>> 0
+    return [hi, lo]
+}
+
+/* Read a 64-bit value as [hi, lo] unsigned 32-bit words */
+function read_u64(buf, index, args) {
+    var big = (args && args.endian === ENDIAN_BIG)
+    var first = read_uint(buf, index, 4, args)
+    var second = read_uint(buf, index + 4, 4, args)
+    return big ? [first, second] : [second, first]
+}
+
+function uint64_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 64, 1)) {
+        var words = read_u64(buf, bit_index >> 3, args)
+        var hi = words[0]
+        var lo = words[1]
+        out.push(u64_format(hi, lo, false, args))
+        return 64
+    }
+    return -1
+}
+
+function int64_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 64, 1)) {
+        var words = read_u64(buf, bit_index >> 3, args)
+        var hi = words[0]
+        var lo = words[1]
+        var negative = (hi & 0x80000000) != 0
+        if (negative) {
+            words = u64_negate(hi, lo)
+            hi = words[0]
+            lo = words[1]
+        }
+        out.push(u64_format(hi, lo, negative, args))
+        return 64
+    }
+    return -1
+}
+
+/* Up to 10 bytes of 7 bits each, least significant first.  Fails if it overflows 64 bits. */
+function varuint64_decoder(buf, bit_index, out, args) {
+    var hi = 0
+    var lo = 0
+    var shift = 0
+    var bit_count = 0
+    while (check_len(buf, bit_index, 8, 1) && shift < 70) {
+        var b = buf[bit_index >> 3]
+        var bits = b & 0x7f
+        if (shift == 63 && bits > 1) {
+            /* the 10th byte holds only bit 63, anything more overflows 64 bits */
+            return -1
+        }
+        if (shift < 32) {
+            lo |= bits << shift
+            if (shift > 25) {
+                hi |= bits >>> (32 - shift)
+            }
+        } else {
+            hi |= bits << (shift - 32)
+        }
+        shift += 7
+
+        bit_index += 8
+        bit_count += 8
+
+        if (!(b & 0x80)) {
+            out.push(u64_format(hi >>> 0, lo >>> 0, false, args))
+            return bit_count
+        }
+    }
+    return -1
+}
+
+/* IEEE-754 floating point, half (float16) and single (float32) precision.
+ * Decoded with plain arithmetic, so no Buffer/DataView/typed arrays are needed.
+ */
+function float_from_bits(bits, e_bits, m_bits) {
+    var sign = (bits / Math.pow(2, e_bits + m_bits)) >= 1 ? -1 : 1
+    var exp = Math.floor(bits / Math.pow(2, m_bits)) & ((1 << e_bits) - 1)
+    var mant = bits % Math.pow(2, m_bits)
+    var bias = (1 << (e_bits - 1)) - 1
+    if (exp == 0) {
+        /* zero and subnormals */
+        return sign * mant * Math.pow(2, 1 - bias - m_bits)
+    }
+    if (exp == (1 << e_bits) - 1) {
+        return mant ? NaN : sign * Infinity
+    }
+    return sign * (1 + mant / Math.pow(2, m_bits)) * Math.pow(2, exp - bias)
+}
+
+function float16_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 16, 1)) {
+        out.push(float_from_bits(read_uint(buf, bit_index >> 3, 2, args), 5, 10))
+        return 16
+    }
+    return -1
+}
+
+function float32_decoder(buf, bit_index, out, args) {
+    if (check_len(buf, bit_index, 32, 1)) {
+        out.push(float_from_bits(read_uint(buf, bit_index >> 3, 4, args), 8, 23))
+        return 32
+    }
+    return -1
+}
+
+
+
+/* Arrays of elements of any decoder type.
+ *   args.element - the element type: a type array (e.g. temperature_decoder) or a single field
+ *   args.length  - number of elements (fixed_array_decoder only)
+ *
+ * The decoded elements are pushed to the output as one array.  An element type with a single
+ * primitive field gives that field's value per element, any other type gives an object
+ * keyed by field name, as in the named output mode.
+ */
+function fixed_array_decoder(buf, bit_index, out, args) {
+    if (args && args.element) {
+        return array_elements_decoder(buf, bit_index, out, args.element, args.length)
+    }
+    return -1
+}
+
+/* The array size is specified by a varuint32 up front */
 function array_decoder(buf, bit_index, out, args) {
+    if (args && args.element) {
+        var bits = varuint32_decoder(buf, bit_index, out)
+        if (bits > 0) {
+            var bits2 = array_elements_decoder(buf, bit_index + bits, out, args.element, out[out.length - 1])
+            if (bits2 < 0) {
+                bits = -1
+            } else {
+                bits += bits2
+            }
+        }
+        return bits
+    }
+    return -1
+}
+
+function array_elements_decoder(buf, bit_index, out, element, count) {
+    var type = (element instanceof Array) ? element : [element]
+    var single = (type_field_count(type, 'decoder') == 1)
+    /* every element takes at least one bit, so a count larger than that is corrupt */
+    if (!(count >= 0) || count > (buf.length << 3) - bit_index) {
+        return -1
+    }
+    var elements = []
+    var decoded_bits = 0
+    for (var i = 0; i < count; i++) {
+        var element_out = []
+        var element_named = {}
+        var res = decoder_run(buf, bit_index + decoded_bits, element_out, type, element_named)
+        if (res < 0) {
+            return res
+        }
+        decoded_bits += res
+        elements.push(single ? element_out[element_out.length - 1] : element_named)
+    }
+    out.push(elements)
+    return decoded_bits
+}
+
+/* Count the primitive fields of a type, following nested types.
+ * 'kind' is the key of named nested types ('decoder' or 'encoder').
+ */
+function type_field_count(type, kind) {
+    var count = 0
+    for (var i = 0; i < type.length; i++) {
+        if (type[i].length) {
+            count += type_field_count(type[i], kind)
+        } else if (type[i][kind]) {
+            count += type_field_count(type[i][kind], kind)
+        } else if (type[i].fn) {
+            count++
+        }
+    }
+    return count
+}
+
+/* The first primitive field of a type, following nested types, or null */
+function type_first_field(type, kind) {
+    for (var i = 0; i < type.length; i++) {
+        var field = null
+        if (type[i].length) {
+            field = type_first_field(type[i], kind)
+        } else if (type[i][kind]) {
+            field = type_first_field(type[i][kind], kind)
+        } else if (type[i].fn) {
+            field = type[i]
+        }
+        if (field) {
+            return field
+        }
+    }
+    return null
+}
+
+/* Widths in bits of the signed integer primitives, by name (a signed bitfield's are in its args) */
+var SIGNED_BITS = { int8: 8, int16: 16, int32: 32, int64: 64, varint32: 32 }
+
+/* The range of the values of the primitive 'name' (without _decoder or _encoder) with 'args',
+ * or null if it is not signed
+ */
+function signed_range(name, args) {
+    var half
+    if (name == 'bitfield') {
+        if (!args || !args.sign) {
+            return null
+        }
+        half = Math.pow(2, args.i_bits + args.f_bits - 1)
+        var scale = Math.pow(2, args.f_bits)
+        return { min: -half / scale, max: (half - 1) / scale }
+    }
+    if (!has_key(SIGNED_BITS, name)) {
+        return null
+    }
+    half = Math.pow(2, SIGNED_BITS[name] - 1)
+    return { min: -half, max: half - 1 }
+}
+
+/* The name of 'fn' in 'fns' (name: function), or null */
+function fn_name(fn, fns) {
+    for (var name in fns) {
+        if (fns[name] === fn) {
+            return name
+        }
+    }
+    return null
+}
 
+/* The signed primitives a delta time series element may be */
+var signed_decoders = {
+    bitfield: bitfield_decoder,
+    int8: int8_decoder,
+    int16: int16_decoder,
+    int32: int32_decoder,
+    int64: int64_decoder,
+    varint32: varint32_decoder
+}
+
+/* Time series
+ *
+ * Several readings taken at different times, e.g. buffered by a device between uplinks:
+ *
+ *   uint32    base epoch (s)
+ *   varuint32 number of samples
+ *   samples:  varuint32 seconds since the previous sample (the first: since the base epoch),
+ *             then the sample's value, of type args.element (as for array_decoder)
+ *
+ * With args.delta, the element must be a single signed field: a signed bitfield, int8 to int64
+ * or varint32.  Each value is sent as the difference from the previous one (the first as is),
+ * so slowly changing readings encode in few bytes with a varint32 element.  Engineering and
+ * label conversions apply to the summed value, so a delta element may scale but should have
+ * no offset.  An int64 element's values are summed as numbers, exact up to 2^53.
+ *
+ * The samples are pushed to the output as one array of { time, value }, time being the
+ * sample's epoch.
+ */
+function timeseries_decoder(buf, bit_index, out, args) {
+    if (!args || !args.element) {
+        return -1
+    }
+    var type = (args.element instanceof Array) ? args.element : [args.element]
+    var single = (type_field_count(type, 'decoder') == 1)
+    var field = type_first_field(type, 'decoder')
+    var header = []
+    var decoded_bits = 0
+    var res = uint32_decoder(buf, bit_index, header)
+    if (res > 0) {
+        decoded_bits += res
+        res = varuint32_decoder(buf, bit_index + decoded_bits, header)
+    }
+    /* every sample takes at least one byte, so a count larger than that is corrupt */
+    if (res < 0 || header[1] > ((buf.length << 3) - bit_index - decoded_bits) >> 3) {
+        return -1
+    }
+    decoded_bits += res
+    if (args.delta && !single) {
+        ERROR('a delta time series needs an element of a single field')
+        return -1
+    }
+    if (args.delta && !signed_range(fn_name(field.fn, signed_decoders), field.args)) {
+        ERROR('a delta time series needs a signed element')
+        return -1
+    }
+    var samples = []
+    var time = header[0]
+    var raw = 0
+    for (var i = 0; i < header[1]; i++) {
+        var sample_out = []
+        res = varuint32_decoder(buf, bit_index + decoded_bits, sample_out)
+        if (res < 0) {
+            return res
+        }
+        decoded_bits += res
+        time += sample_out[0]
+        var value
+        if (args.delta) {
+            /* the delta, without conversions */
+            res = decoder_run(buf, bit_index + decoded_bits, sample_out, [{ fn: field.fn, args: field.args }], {})
+            if (res < 0) {
+                return res
+            }
+            raw += Number(sample_out[sample_out.length - 1])
+            value = raw
+            if (field.enum || field.flags) {
+                value = label_value(field, value)
+            } else if (has_engineering(field)) {
+                value = engineering_value(field, trace_path + field_name(field, 0), value)
+            }
+        } else {
+            var sample_named = {}
+            res = decoder_run(buf, bit_index + decoded_bits, sample_out, type, sample_named)
+            if (res < 0) {
+                return res
+            }
+            value = single ? sample_out[sample_out.length - 1] : sample_named
+        }
+        decoded_bits += res
+        samples.push({ time: time, value: value })
+    }
+    out.push(samples)
+    return decoded_bits
 }
 
 /* Extracts the required number of bytes and returns them as a subarray
@@ -285,6 +1082,80 @@ function dynamic_bytearray_decoder(buf, bit_index, out, args) {
     return bits
 }
 
+/* Strings
+ *   args.length   - size in bytes (fixed_string_decoder only).  Shorter strings are padded with NULs.
+ *   args.encoding - 'utf8' (default) or 'ascii'
+ *
+ * Decoded with plain code, as TextDecoder and Buffer are missing in some cloud JS engines.
+ * Invalid UTF-8 and non-ASCII bytes decode as U+FFFD.
+ */
+function string_from_bytes(buf, index, length, args) {
+    var ascii = (args && args.encoding == 'ascii')
+    var str = ''
+    var end = index + length
+    while (index < end) {
+        var b = buf[index++]
+        var code = 0xfffd
+        if (b == 0) {
+            /* NUL padding */
+            break
+        } else if (b < 0x80) {
+            code = b
+        } else if (!ascii) {
+            /* lead byte: count of continuation bytes, and the range of the first one, which rules
+             * out overlong forms, surrogates and code points above U+10FFFF.  Any other lead
+             * (0x80-0xC1, 0xF5-0xFF) is invalid on its own.  As in Node and TextDecoder, an invalid
+             * sequence gives one U+FFFD and decoding resumes at the byte that broke it. */
+            var n = (b >= 0xc2 && b <= 0xdf) ? 1 : (b >= 0xe0 && b <= 0xef) ? 2 : (b >= 0xf0 && b <= 0xf4) ? 3 : 0
+            var lower = (b == 0xe0) ? 0xa0 : (b == 0xf0) ? 0x90 : 0x80
+            var upper = (b == 0xed) ? 0x9f : (b == 0xf4) ? 0x8f : 0xbf
+            var value = b & (0x3f >> n)
+            var i = 0
+            for (; i < n && index < end && buf[index] >= lower && buf[index] <= upper; i++) {
+                value = (value << 6) | (buf[index++] & 0x3f)
+                lower = 0x80
+                upper = 0xbf
+            }
+            if (n > 0 && i == n) {
+                code = value
+            }
+        }
+        if (code > 0xffff) {
+            /* surrogate pair */
+            code -= 0x10000
+            str += String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff))
+        } else {
+            str += String.fromCharCode(code)
+        }
+    }
+    return str
+}
+
+function fixed_string_decoder(buf, bit_index, out, args) {
+    if (args) {
+        var nbits = args.length * 8
+        if (check_len(buf, bit_index, nbits, 1)) {
+            out.push(string_from_bytes(buf, bit_index >> 3, args.length, args))
+            return nbits
+        }
+    }
+    return -1
+}
+
+/* A varuint32 is in front of the string to provide its length in bytes. */
+function string_decoder(buf, bit_index, out, args) {
+    var bits = varuint32_decoder(buf, bit_index, out)
+    if (bits > 0) {
+        var bits2 = fixed_string_decoder(buf, bit_index + bits, out, { length: out[out.length - 1], encoding: args && args.encoding })
+        if (bits2 < 0) {
+            bits = -1
+        } else {
+            bits += bits2
+        }
+    }
+    return bits
+}
+
 /*--- Sensor type decoders ---------------------------------------------------*/
 /* Note!
  * These are all designed to fit into an SF10 payload (max 11 bytes)
@@ -292,34 +1163,42 @@ function dynamic_bytearray_decoder(buf, bit_index, out, args) {
 
 /* temperature is stored in 16-bits s12q4 format. */
 var temperature_decoder = [
-    { fn: bitfield_decoder, args: { sign: 1, i_bits: 12, f_bits: 4 } },
+    { fn: bitfield_decoder, args: { sign: 1, i_bits: 12, f_bits: 4 }, name: 'temp', unit: '°C' },
 ]
 
+/* millivolts */
 var adc_decoder = [
-    { fn: uint16_decoder },
+    { fn: uint16_decoder, name: 'adc', scale: 0.001, unit: 'V' },
 ]
 
 /* packed into 10 bytes */
 var location_decoder = [
-    { fn: bitfield_decoder, args: { sign: 1, i_bits: 8, f_bits: 20 }, name: 'lat 0.000001' }, /* +/- 90 */
-    { fn: bitfield_decoder, args: { sign: 1, i_bits: 9, f_bits: 20 }, name: 'lon 0.000001' }, /* +/- 180 */
-    { fn: bitfield_decoder, args: { sign: 1, i_bits: 17, f_bits: 6 }, name: 'alt 0.015 m' }, /* max alt 131,072 m */
+    { fn: bitfield_decoder, args: { sign: 1, i_bits: 8, f_bits: 20 }, name: 'lat', unit: '°', min: -90, max: 90 }, /* 0.000001, +/- 90 */
+    { fn: bitfield_decoder, args: { sign: 1, i_bits: 9, f_bits: 20 }, name: 'lon', unit: '°', min: -180, max: 180 }, /* 0.000001, +/- 180 */
+    { fn: bitfield_decoder, args: { sign: 1, i_bits: 17, f_bits: 6 }, name: 'alt', unit: 'm' }, /* 0.015 m, max alt 131,072 m */
 ]
 
 var humidity_decoder = [
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 7, f_bits: 1 }, name: 'rh 0.5%' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 7, f_bits: 1 }, name: 'rh', unit: '%', min: 0, max: 100 }, /* 0.5% */
 ]
 
 var pressure_decoder = [
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 12, f_bits: 4 }, name:'hPa q4 %' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 12, f_bits: 4 }, name: 'pressure', unit: 'hPa' }, /* hPa q4 */
 ]
 
+/* Flag sets whose bits the firmware does not document yet: with the 'labels' option a set bit
+ * gives 'bitN': true.  Name the bits here as they are defined. */
+var particle_flags = {}
+var locmeta_flags = {}
+var time_flags = {}
+var reset_flags = {}
+
 var particle_decoder = [
-    { fn: uint8_decoder, name: 'flags' },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm1.0' },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm2.5'  },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm4.0'  },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm10.0'  },
+    { fn: uint8_decoder, name: 'flags', flags: particle_flags },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm1_0' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm2_5' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm4_0' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 10, f_bits: 0 }, name: 'pm10_0' },
 ]
 
 var accel_decoder = [
@@ -328,16 +1207,18 @@ var accel_decoder = [
     { fn: varint32_decoder, name: 'z' }
 ]
 
+var motion_flags = { 0: 'activity_detected' }
+
 var motion_decoder = [
-    { fn : uint8_decoder, name: 'flags' },
-    accel_decoder
+    { fn : uint8_decoder, name: 'flags', flags: motion_flags },
+    { decoder: accel_decoder, name: 'accel' }
 ]
 
 var locmeta_decoder = [
-    { fn: uint8_decoder, name: 'ttff_s' },
+    { fn: uint8_decoder, name: 'ttff_s', unit: 's' },
     { fn: uint8_decoder, name: 'nsats' },
     { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 4 }, name: 'dop_q4' },
-    { fn: uint8_decoder, name: 'flags' },
+    { fn: uint8_decoder, name: 'flags', flags: locmeta_flags },
 ]
 
 var satcom_decoder = [
@@ -347,31 +1228,36 @@ var satcom_decoder = [
 
 var satmeta_decoder = [
     { fn: varuint32_decoder, name: 'tx_counter' },
-    { fn: uint8_decoder, name: 'tx_time_s' },
+    { fn: uint8_decoder, name: 'tx_time_s', unit: 's' },
     { fn: uint8_decoder, name: 'tx_dropped_counter' },
     { fn: uint8_decoder, name: 'data_dropped_counter' },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'retry_period_min' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'retry_period_min', unit: 'min' },
     { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'rssi_0_5' },
     { fn: varuint32_decoder, name: 'energy' },
 ]
 
 var battery_decoder = [
-    { fn: uint16_decoder, name: 'voltage_mv' },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'current_ua' },
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'accum_current_uah' },
-    temperature_decoder
+    { fn: uint16_decoder, name: 'voltage', scale: 0.001, unit: 'V' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'current', scale: 0.001, unit: 'mA' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'accum_current', scale: 0.001, unit: 'mAh' },
+    { decoder: temperature_decoder, name: 'temperature' }
 ]
 
 /*--- System decoders ---------------------------------------------------*/
 
 var time_decoder = [
-    { fn: uint8_decoder, name: 'flags' },
-    { fn: uint32_decoder, name: 'epoch' }
+    { fn: uint8_decoder, name: 'flags', flags: time_flags },
+    { fn: uint32_decoder, name: 'epoch', unit: 's' }
+]
+
+/* Temperatures buffered by the device, each with its own time */
+var temperature_series_decoder = [
+    { fn: timeseries_decoder, args: { element: temperature_decoder }, name: 'samples' }
 ]
 
 var devstartup_decoder = [
     { fn: dynamic_bytearray_decoder, name: 'fw_ver' },
-    { fn: uint16_decoder, name: 'reset_flags' }
+    { fn: uint16_decoder, name: 'reset_flags', flags: reset_flags }
 ]
 
 var faultinfo_decoder = [
@@ -388,6 +1274,9 @@ var fwupdate_decoder = [
 
 /*--- Antelope protocol decoders -----------------------------*/
 
+/* chain ids, 2 to 7 are reserved */
+var antelope_chains = { 0: 'telos_testnet', 1: 'telos_mainnet' }
+
 /* Format of actual TAPOS data encoded in a transaction.
  * If the decoding platform wanted to examine these fields directly, this could be used.
  * However this is not sent directly by ME-TSP modules (use antelope_message_tapos_decoder instead)
@@ -433,8 +1322,8 @@ var antelope_message_header_decoder = [
  *  max_net, max_cpu and delay_sec set to 0.
  */
 var antelope_message_tapos_decoder = [
-    antelope_message_header_decoder,
-    { fn: uint8_decoder, name: 'chain' }, /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
+    { decoder: antelope_message_header_decoder, name: 'header' },
+    { fn: uint8_decoder, name: 'chain', enum: antelope_chains }, /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
     /* uint32 expiration, uint16 ref block, uint32 ref block prefix */
     { fn: fixed_bytearray_decoder, args: { length: 10 }, name: 'tapos' }
     /* max_net, max_cpu and delay_sec set to 0. */
@@ -444,33 +1333,33 @@ var antelope_message_tapos_decoder = [
  *  num_actions and num_permissions set to 1.
  */
 var antelope_message_action_decoder = [
-    antelope_message_header_decoder,
+    { decoder: antelope_message_header_decoder, name: 'header' },
     /* names: account (dapp), action */
-    { fn: fixed_bytearray_decoder, args: { length: 16 }, name: 'dapp info' },
+    { fn: fixed_bytearray_decoder, args: { length: 16 }, name: 'dapp_info' },
     /* */
     /* names: actor, perm */
-    { fn: fixed_bytearray_decoder, args: { length: 16 }, name: 'actor info' }
+    { fn: fixed_bytearray_decoder, args: { length: 16 }, name: 'actor_info' }
 ]
 
 /* The Measurement{Earth} Trusted Sensor Platform modules signs with
  *  num_actions and num_permissions set to 1.
  */
 var antelope_message_serialized_action_decoder = [
-    antelope_message_header_decoder,
-    { fn: dynamic_bytearray_decoder, name: 'action data' },
+    { decoder: antelope_message_header_decoder, name: 'header' },
+    { fn: dynamic_bytearray_decoder, name: 'action_data' },
 ]
 
 /* Contains
  *  Signature i(1), R(32) and S(32)
  */
 var antelope_message_signature_decoder = [
-    antelope_message_header_decoder,
+    { decoder: antelope_message_header_decoder, name: 'header' },
     { fn: fixed_bytearray_decoder, args: { length: 65 }, name: 'signature' },
 ]
 
 var antelope_message_tapos_req_decoder = [
     /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
-    { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'chain_id' },
+    { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'chain_id', enum: antelope_chains },
     /* request reference number - provided to tapos_resp downlink */
     { fn: bitfield_decoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'req_id' },
 ]
@@ -482,20 +1371,258 @@ var antelope_message_tapos_req_decoder = [
 /*------------------------------------------------------------*/
 
 
+/*--- Type Schema -------------------------------------------------------------*/
+
+/* Types and channel maps can be described as plain JSON data instead of code,
+ * so a product's channel map can be shipped as a data file:
+ *
+ *   {
+ *     "types": {
+ *       "accel": [
+ *         { "type": "varint32", "name": "x" },
+ *         { "type": "varint32", "name": "y" },
+ *         { "type": "varint32", "name": "z" }
+ *       ],
+ *       "motion": [
+ *         { "type": "uint8", "name": "flags" },
+ *         { "type": "accel" }
+ *       ]
+ *     },
+ *     "channels": {
+ *       "0": { "type": "temperature", "processor": "temperature_processor" },
+ *       "5": { "type": "motion", "processor": "motion_processor" }
+ *     }
+ *   }
+ *
+ * A field's "type" names a primitive (e.g. "bitfield", "uint16"), a type from the
+ * schema's own "types" section, or one of the built-in types (e.g. "temperature").
+ * A field may also be an inline array of fields.  Every other key of a field
+ * ("args", "name", ...) is copied to the resolved field as-is.  A nested type field
+ * with a "name" becomes a named sub-object in OUTPUT_NAMED mode.  A primitive field
+ * may carry a "when" condition (see Conditional fields).  Other channel keys
+ * (e.g. "output") are copied to the channel map entry.
+ * Channel processors (or encoder providers) are referenced by name and looked up
+ * in the object of functions supplied when loading the schema.
+ */
+
+var decoder_primitives = {
+    bitfield: bitfield_decoder,
+    uint8: uint8_decoder,
+    uint16: uint16_decoder,
+    uint32: uint32_decoder,
+    int8: int8_decoder,
+    int16: int16_decoder,
+    int32: int32_decoder,
+    uint64: uint64_decoder,
+    int64: int64_decoder,
+    varuint64: varuint64_decoder,
+    float16: float16_decoder,
+    float32: float32_decoder,
+    varuint32: varuint32_decoder,
+    varint32: varint32_decoder,
+    name: name_decoder,
+    fixed_bytearray: fixed_bytearray_decoder,
+    dynamic_bytearray: dynamic_bytearray_decoder,
+    fixed_string: fixed_string_decoder,
+    string: string_decoder,
+    fixed_array: fixed_array_decoder,
+    array: array_decoder,
+    timeseries: timeseries_decoder,
+}
+
+var decoder_types = {
+    temperature: temperature_decoder,
+    adc: adc_decoder,
+    location: location_decoder,
+    humidity: humidity_decoder,
+    pressure: pressure_decoder,
+    particle: particle_decoder,
+    accel: accel_decoder,
+    motion: motion_decoder,
+    locmeta: locmeta_decoder,
+    satcom: satcom_decoder,
+    satmeta: satmeta_decoder,
+    battery: battery_decoder,
+    time: time_decoder,
+    temperature_series: temperature_series_decoder,
+    devstartup: devstartup_decoder,
+    faultinfo: faultinfo_decoder,
+    fwupdate: fwupdate_decoder,
+    antelope_tapos: antelope_tapos_decoder,
+    antelope_message_header: antelope_message_header_decoder,
+    antelope_message_tapos: antelope_message_tapos_decoder,
+    antelope_message_action: antelope_message_action_decoder,
+    antelope_message_serialized_action: antelope_message_serialized_action_decoder,
+    antelope_message_signature: antelope_message_signature_decoder,
+    antelope_message_tapos_req: antelope_message_tapos_req_decoder,
+}
+
+function has_key(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key)
+}
+
+/* Resolve a schema into a channel map.
+ *   schema     - schema object, or its JSON text
+ *   primitives - table of primitive type name => function
+ *   types      - table of built-in type name => type array
+ *   handlers   - table of processor (or provider) name => function
+ *   kind       - key of the resolved type in each channel map entry ('decoder' or 'encoder')
+ *   handler    - key of the handler in each channel map entry ('processor' or 'provider')
+ *
+ * Throws an Error naming the offending path if the schema cannot be resolved.
+ */
+function schema_resolve(schema, primitives, types, handlers, kind, handler) {
+    if (typeof schema === 'string') {
+        schema = JSON.parse(schema)
+    }
+    var schema_types = schema.types || {}
+    var resolved = {}
+    var resolving = {}
+
+    function resolve_type(type_name, path) {
+        if (has_key(resolved, type_name)) {
+            return resolved[type_name]
+        }
+        if (has_key(schema_types, type_name)) {
+            if (resolving[type_name]) {
+                throw new Error('schema: recursive type \'' + type_name + '\' at ' + path)
+            }
+            resolving[type_name] = true
+            var type = resolve_fields(schema_types[type_name], 'types.' + type_name)
+            resolving[type_name] = false
+            resolved[type_name] = type
+            return type
+        }
+        if (has_key(types, type_name)) {
+            return types[type_name]
+        }
+        throw new Error('schema: unknown type \'' + type_name + '\' at ' + path)
+    }
+
+    function resolve_field(field, path) {
+        if (field instanceof Array) {
+            return resolve_fields(field, path)
+        }
+        if (typeof field.type !== 'string') {
+            throw new Error('schema: missing type at ' + path)
+        }
+        var resolved_field = {}
+        var keys = 0
+        for (var key in field) {
+            if (key !== 'type') {
+                resolved_field[key] = field[key]
+                keys++
+            }
+        }
+        if (has_key(primitives, field.type) && !has_key(schema_types, field.type)) {
+            resolved_field.fn = primitives[field.type]
+            if (field.args && field.args.element !== undefined) {
+                /* array element types are resolved like fields */
+                var element = field.args.element
+                resolved_field.args = {}
+                for (var arg in field.args) {
+                    resolved_field.args[arg] = field.args[arg]
+                }
+                resolved_field.args.element = resolve_field(typeof element === 'string' ? { type: element } : element, path + '.args.element')
+            }
+            return resolved_field
+        }
+        var type = resolve_type(field.type, path)
+        if (keys == 0) {
+            return type
+        }
+        /* A named nested type, e.g. { "type": "accel", "name": "accel" } */
+        resolved_field[kind] = type
+        return resolved_field
+    }
+
+    function resolve_fields(fields, path) {
+        if (!(fields instanceof Array)) {
+            throw new Error('schema: expected an array of fields at ' + path)
+        }
+        var type = []
+        for (var i = 0; i < fields.length; i++) {
+            type.push(resolve_field(fields[i], path + '[' + i + ']'))
+        }
+        return type
+    }
+
+    var map = {}
+    var channels = schema.channels || {}
+    for (var chan in channels) {
+        var path = 'channels.' + chan
+        var channel = channels[chan]
+        var entry = {}
+        if (channel.type instanceof Array) {
+            entry[kind] = resolve_fields(channel.type, path + '.type')
+        } else if (typeof channel.type === 'string') {
+            entry[kind] = resolve_type(channel.type, path + '.type')
+        } else {
+            throw new Error('schema: missing type at ' + path)
+        }
+        for (var key in channel) {
+            if (key !== 'type' && key !== 'processor' && key !== 'provider') {
+                entry[key] = channel[key]
+            }
+        }
+        if (channel[handler]) {
+            if (!handlers || !has_key(handlers, channel[handler]) || typeof handlers[channel[handler]] !== 'function') {
+                throw new Error('schema: unknown ' + handler + ' \'' + channel[handler] + '\' at ' + path)
+            }
+            entry[handler] = handlers[channel[handler]]
+        }
+        map[chan] = entry
+    }
+    return map
+}
+
+/* Load a schema as a decoder channel map, suitable for passing to decoder().
+ * 'processors' is an object holding the processor functions named by the schema.
+ */
+function schema_decoder_map(schema, processors) {
+    return schema_resolve(schema, decoder_primitives, decoder_types, processors, 'decoder', 'processor')
+}
 
 /*--- Decoder Engine ---------------------------------------------------------*/
 
 
-/* Run the decoders to consume input bits */
-function decoder_run(buf, bit_index, out, decoder) {
+/* Run the decoders to consume input bits.
+ *
+ * Every primitive pushes its output to the flat 'out' array.  Each field's value is also
+ * recorded in the 'named' object under the field's name (or its index in the type if it
+ * has none).  A nested type given as { decoder: [...], name: 'x' } becomes a sub-object;
+ * a bare nested type array adds its fields to the current object.  The 'raw' object is
+ * laid out the same, with each field's value before any engineering or label conversion.
+ *
+ * If a 'result' object is given, the failing field's name and bit offset are recorded in it.
+ */
+function decoder_run(buf, bit_index, out, decoder, named, result, raw) {
     var decoded_bits = 0
-    TRACE('Executing ' + decoder.length + ' decoders...')
+    raw = raw || {}
     for (var i = 0; i < decoder.length; i++) {
         var field_decoder = decoder[i]
         if (field_decoder.length) {
             /* follow the heirarchy */
-            var res = decoder_run(buf, bit_index + decoded_bits, out, field_decoder)
+            var res = decoder_run(buf, bit_index + decoded_bits, out, field_decoder, named, result, raw)
+            if (res < 0) {
+                return res
+            } else {
+                decoded_bits += res
+            }
+        } else if (field_decoder.decoder) {
+            /* follow the heirarchy into a named sub-object */
+            var sub = named[field_name(field_decoder, i)] = {}
+            var sub_raw = raw[field_name(field_decoder, i)] = {}
+            var path = trace_path
+            trace_path += field_name(field_decoder, i) + '.'
+            scope_stack.push(raw)
+            var res = decoder_run(buf, bit_index + decoded_bits, out, field_decoder.decoder, sub, result, sub_raw)
+            scope_stack.pop()
+            trace_path = path
             if (res < 0) {
+                if (result) {
+                    result.field = field_name(field_decoder, i) + '.' + result.field
+                }
                 return res
             } else {
                 decoded_bits += res
@@ -503,13 +1630,48 @@ function decoder_run(buf, bit_index, out, decoder) {
         } else {
             /* run decoder now */
             if (field_decoder.fn) {
-//                TRACE(field_decoder.fn.name + ' decoding at bit_index ' + (bit_index + decoded_bits) + ' ' + field_decoder.name)
-                TRACE('decoding ' + (field_decoder.name ? field_decoder.name : '') + ' with ' + field_decoder.fn.name + ' at bit_index ' + (bit_index + decoded_bits))
-                var res = field_decoder.fn(buf, bit_index + decoded_bits, out, field_decoder.args)
+                if (field_decoder.when && !field_present(field_decoder.when, raw, scope_stack)) {
+                    /* absent conditional field */
+                    out.push(null)
+                    named[field_name(field_decoder, i)] = null
+                    raw[field_name(field_decoder, i)] = null
+                    continue
+                }
+                if (log_level >= LOG_DEBUG) {
+                    TRACE('decoding ' + (field_decoder.name ? field_decoder.name : '') + ' with ' + field_decoder.fn.name + ' at bit_index ' + (bit_index + decoded_bits))
+                }
+                var at = bit_index + decoded_bits
+                var res
+                if ((at & 0x7) && alignment === ALIGN_PACKED && field_decoder.fn !== bitfield_decoder) {
+                    res = field_decoder.fn(realign(buf, at), at & ~0x7, out, field_decoder.args)
+                    if (res > (buf.length << 3) - at) {
+                        /* it read into the padding */
+                        res = -1
+                    }
+                } else {
+                    res = field_decoder.fn(buf, at, out, field_decoder.args)
+                }
                 if (res < 0) {
+                    if (result) {
+                        result.field = field_name(field_decoder, i)
+                        result.bit_index = bit_index + decoded_bits
+                    }
                     return res
                 } else {
+                    if (trace_fn) {
+                        trace_field(buf, field_decoder, i, bit_index + decoded_bits, res, out)
+                    }
                     decoded_bits += res
+                    var value = out[out.length - 1]
+                    raw[field_name(field_decoder, i)] = value
+                    if (field_decoder.enum || field_decoder.flags) {
+                        value = label_value(field_decoder, value)
+                        out[out.length - 1] = value
+                    } else if (has_engineering(field_decoder)) {
+                        value = engineering_value(field_decoder, trace_path + field_name(field_decoder, i), value)
+                        out[out.length - 1] = (value !== null && value.unit !== undefined) ? value.value : value
+                    }
+                    named[field_name(field_decoder, i)] = value
                 }
             }
         }
@@ -517,6 +1679,288 @@ function decoder_run(buf, bit_index, out, decoder) {
     return decoded_bits
 }
 
+function field_name(field, index) {
+    return field.name ? field.name : String(index)
+}
+
+/* Compiled channel maps
+ *
+ * decoder_run() walks the type hierarchy of every channel it decodes.  decoder_compile(map)
+ * returns a copy of a channel map with each channel's hierarchy flattened, once, into a list
+ * of steps: the primitive fields in order, each with its full field name and, where every
+ * field before it has a fixed size, its bit offset in the channel.  decoder() runs these
+ * steps in a single loop with identical output.
+ *
+ * Channels with conditional fields are left to decoder_run(), as is every channel while
+ * tracing or debug logging.  For a map registry, compile each of its maps.
+ */
+var STEP_FIELD = 0
+var STEP_OPEN = 1  /* start of a named nested type */
+var STEP_CLOSE = 2 /* end of it */
+
+/* Fixed sizes in bits of the primitives, or the bitfield args */
+function primitive_bits(fn, args) {
+    if (fn === bitfield_decoder) {
+        return args ? args.i_bits + args.f_bits : -1
+    }
+    if (fn === uint8_decoder || fn === int8_decoder) {
+        return 8
+    }
+    if (fn === uint16_decoder || fn === int16_decoder || fn === float16_decoder) {
+        return 16
+    }
+    if (fn === uint32_decoder || fn === int32_decoder || fn === float32_decoder) {
+        return 32
+    }
+    if (fn === uint64_decoder || fn === int64_decoder || fn === name_decoder) {
+        return 64
+    }
+    if ((fn === fixed_bytearray_decoder || fn === fixed_string_decoder) && args) {
+        return args.length * 8
+    }
+    return -1
+}
+
+/* Flatten 'decoder' into 'steps'.  'state.offset' is the bit offset reached, or -1 once it
+ * depends on the data.  Returns false if the type can't be compiled.
+ */
+function compile_type(decoder, path, steps, state) {
+    for (var i = 0; i < decoder.length; i++) {
+        var field = decoder[i]
+        if (field.length) {
+            if (!compile_type(field, path, steps, state)) {
+                return false
+            }
+        } else if (field.decoder) {
+            steps.push({ kind: STEP_OPEN, name: field_name(field, i) })
+            if (!compile_type(field.decoder, path + field_name(field, i) + '.', steps, state)) {
+                return false
+            }
+            steps.push({ kind: STEP_CLOSE })
+        } else if (field.fn) {
+            if (field.when) {
+                return false
+            }
+            var bits = primitive_bits(field.fn, field.args)
+            steps.push({
+                kind: STEP_FIELD,
+                field: field,
+                name: field_name(field, i),
+                prefix: path,
+                path: path + field_name(field, i),
+                offset: state.offset,
+                label: !!(field.enum || field.flags),
+                engineering: has_engineering(field)
+            })
+            state.offset = (state.offset >= 0 && bits >= 0) ? state.offset + bits : -1
+        }
+    }
+    return true
+}
+
+function decoder_compile(map) {
+    var compiled = {}
+    for (var chan in map) {
+        var entry = map[chan]
+        var copy = {}
+        for (var key in entry) {
+            copy[key] = entry[key]
+        }
+        var steps = []
+        var state = { offset: 0 }
+        if (entry.decoder && compile_type(entry.decoder, '', steps, state)) {
+            copy.steps = steps
+        }
+        compiled[chan] = copy
+    }
+    return compiled
+}
+
+/* Run compiled steps, as decoder_run() */
+function compiled_run(buf, bit_index, out, steps, named, result) {
+    var decoded_bits = 0
+    var parents = []
+    for (var i = 0; i < steps.length; i++) {
+        var step = steps[i]
+        if (step.kind === STEP_OPEN) {
+            parents.push(named)
+            named = named[step.name] = {}
+            continue
+        }
+        if (step.kind === STEP_CLOSE) {
+            named = parents.pop()
+            continue
+        }
+        var field = step.field
+        var at = bit_index + ((step.offset >= 0) ? step.offset : decoded_bits)
+        var res
+        /* for array elements with engineering metadata */
+        trace_path = step.prefix
+        if ((at & 0x7) && alignment === ALIGN_PACKED && field.fn !== bitfield_decoder) {
+            res = field.fn(realign(buf, at), at & ~0x7, out, field.args)
+            if (res > (buf.length << 3) - at) {
+                res = -1
+            }
+        } else {
+            res = field.fn(buf, at, out, field.args)
+        }
+        trace_path = ''
+        if (res < 0) {
+            if (result) {
+                result.field = step.path
+                result.bit_index = at
+            }
+            return res
+        }
+        decoded_bits = at + res - bit_index
+        var value = out[out.length - 1]
+        if (step.label) {
+            value = label_value(field, value)
+            out[out.length - 1] = value
+        } else if (step.engineering) {
+            value = engineering_value(field, step.path, value)
+            out[out.length - 1] = (value !== null && value.unit !== undefined) ? value.value : value
+        }
+        named[step.name] = value
+    }
+    return decoded_bits
+}
+
+/* Engineering units
+ *
+ * Fields may describe the engineering value of their raw (decoded) value:
+ *
+ *   { fn: uint16_decoder, name: 'voltage', scale: 0.001, unit: 'V', min: 2.0, max: 4.5 }
+ *
+ *   scale, offset - engineering value = raw * scale + offset (defaults 1 and 0)
+ *   unit          - the engineering unit
+ *   min, max      - valid range of the engineering value
+ *
+ * The decoder options select what is output:
+ *   engineering - output engineering values rather than raw values
+ *   units       - in named output, give fields with a unit as { value, unit }
+ *
+ * A value out of its valid range is always reported, in the result's 'out_of_range' list
+ * as { channel, field, value, min, max }.  The encoder takes engineering values (or
+ * { value, unit } objects) with its own 'engineering' option.
+ */
+var engineering = false
+var units = false
+var out_of_range = []
+
+function has_engineering(field) {
+    return field.scale !== undefined || field.offset !== undefined || field.unit !== undefined ||
+        field.min !== undefined || field.max !== undefined
+}
+
+function to_engineering(field, raw) {
+    var scale = (field.scale !== undefined) ? field.scale : 1
+    var inverse = Math.round(1 / scale)
+    /* divide by the inverse of scales like 0.001, which have no exact binary value,
+     * so 3300 * 0.001 gives 3.3 and not 3.3000000000000003 */
+    var value = (inverse > 1 && Math.abs(1 / scale - inverse) < 1e-9 * inverse) ? raw / inverse : raw * scale
+    return value + ((field.offset !== undefined) ? field.offset : 0)
+}
+
+/* The output of a field, by the engineering options.  'path' is the field's name, with the
+ * names of enclosing nested types, for the out_of_range report. */
+function engineering_value(field, path, raw) {
+    if (typeof raw !== 'number') {
+        return raw
+    }
+    var value = to_engineering(field, raw)
+    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        WARN('field ' + path + ' value ' + value + ' out of range')
+        out_of_range.push({
+            channel: trace_channel,
+            field: path,
+            value: value,
+            min: (field.min !== undefined) ? field.min : null,
+            max: (field.max !== undefined) ? field.max : null
+        })
+    }
+    if (!engineering) {
+        value = raw
+    }
+    if (units && field.unit !== undefined) {
+        return { value: value, unit: field.unit }
+    }
+    return value
+}
+
+/* Enums and flag sets
+ *
+ * An integer field may name its values, as an enum:
+ *
+ *   { fn: uint8_decoder, name: 'chain', enum: { 0: 'telos_testnet', 1: 'telos_mainnet' } }
+ *
+ * or name its bits, as a flag set (bit 0 is the least significant):
+ *
+ *   { fn: uint8_decoder, name: 'flags', flags: { 0: 'activity_detected' } }
+ *
+ * With the 'labels' decoder option an enum field outputs the label of its value (or the
+ * value itself if it has none), and a flag set field outputs an object with a boolean for
+ * each named bit, plus 'bitN': true for any set bit without a name.  The encoder takes
+ * the labels and flag objects as well as plain values.
+ */
+var labels = false
+
+function label_value(field, value) {
+    if (!labels || typeof value !== 'number') {
+        return value
+    }
+    if (field.enum) {
+        return has_key(field.enum, value) ? field.enum[value] : value
+    }
+    var flag_set = {}
+    for (var key in field.flags) {
+        flag_set[field.flags[key]] = false
+    }
+    for (var bit = 0; value >= 1; bit++) {
+        if (value % 2 == 1) {
+            flag_set[has_key(field.flags, bit) ? field.flags[bit] : 'bit' + bit] = true
+        }
+        value = Math.floor(value / 2)
+    }
+    return flag_set
+}
+
+/* Conditional fields
+ *
+ * A field with a 'when' key is only present in the payload when a condition on the value
+ * of an earlier field holds, so devices can omit fields they have nothing to send for:
+ *
+ *   { fn: uint16_decoder, name: 'pm10_0', when: { field: 'flags', bit: 3 } }  - bit 3 of 'flags' is set
+ *   { fn: uint8_decoder, name: 'sats', when: { field: 'mode', equals: 2 } }    - 'mode' is 2
+ *
+ * The earlier field is looked up in the current type, then in the enclosing types.  Its raw
+ * value is compared, whatever the engineering or label options.
+ * An absent field decodes as null.  The encoder applies the same rules, skipping
+ * (but still consuming) the provider's value for an absent field.
+ */
+var scope_stack = []
+
+function field_present(when, raw, scopes) {
+    var value = null
+    if (has_key(raw, when.field)) {
+        value = raw[when.field]
+    } else {
+        for (var i = scopes.length - 1; i >= 0; i--) {
+            if (has_key(scopes[i], when.field)) {
+                value = scopes[i][when.field]
+                break
+            }
+        }
+    }
+    if (when.bit !== undefined) {
+        return (Math.floor(value / Math.pow(2, when.bit)) % 2) == 1
+    }
+    if (when.equals !== undefined) {
+        return value === when.equals
+    }
+    return false
+}
+
 
 /* Decoder engine
  *
@@ -530,56 +1974,285 @@ function decoder_run(buf, bit_index, out, decoder) {
  *  function is require to return it.  Procesors get an object to which they can add keys or add to keys
  *  based on the the decoded data.
  *
+ *  The platform's post_process function is also passed a result object describing the decode:
+ *
+ *    {
+ *      status: RESULT_OK, or the failure code (RESULT_ERROR, RESULT_CHANNEL_NOT_FOUND, RESULT_MAP_NOT_FOUND, ...)
+ *      channel: the channel that failed, or null
+ *      bit_index: bit offset of the failure (the failing field, or the unknown channel byte), or null
+ *      field: name of the failing field, e.g. 'accel.x', or null
+ *      bytes_consumed: number of bytes of whole channels decoded successfully (including
+ *                      any byte partly used by the last one in packed mode)
+ *      channels: list of channels decoded (and processed) before any failure
+ *      skipped: unknown extension channels passed over, as { channel, bit_index, length }
+ *      version: the map version decoded with, or null if not known
+ *      out_of_range: fields decoded outside their valid range (see Engineering units)
+ *      fragment: for a fragment payload, { id, index, count, received } (see Fragmentation), or null
+ *      authenticated: true if the payload's authentication trailer was verified (see Authentication)
+ *    }
+ *
+ *  so platforms that need to tell a partial decode from a clean one can return it.
+ *
+ *  Options (all optional):
+ *    logger    - logger function for this decode (see set_logger), null to silence it
+ *    log_level - log level for this decode
+ *    trace     - field trace callback (see trace_field)
+ *    alignment - channel alignment mode (ALIGN_BYTE, ALIGN_STRICT or ALIGN_PACKED)
+ *    port      - the payload's port; 'map' is then a map registry (see registry_version)
+ *    version   - map version of a payload without a version channel
+ *    engineering, units - engineering values and units (see Engineering units)
+ *    labels    - enum labels and flag sets (see Enums and flag sets)
+ *    crc       - the payload ends in a CRC trailer (CRC_16 or CRC_32)
+ *    reassembly, fragment_timeout, now - reassembly of fragments (see Fragmentation)
+ *    auth      - the payload ends in an authentication trailer (see Authentication)
+ *
 */
-function decoder(bytes, map, platform) {
+function decoder(bytes, map, platform, options) {
+    /* The decode state is module-level, so save the caller's and restore it when done:
+     * a processor may itself call decoder(), e.g. on a payload nested in a channel. */
+    var saved = {
+        log_fn: log_fn,
+        log_level: log_level,
+        trace_fn: trace_fn,
+        trace_channel: trace_channel,
+        trace_path: trace_path,
+        scope_stack: scope_stack,
+        alignment: alignment,
+        engineering: engineering,
+        units: units,
+        labels: labels,
+        out_of_range: out_of_range,
+        realign_cache: realign_cache
+    }
+    options = options || {}
+    if (options.logger !== undefined) {
+        set_logger(options.logger, options.log_level)
+    } else if (options.log_level !== undefined) {
+        log_level = options.log_level
+    }
+    trace_fn = options.trace || null
+    trace_channel = null
+    trace_path = ''
+    scope_stack = []
+    realign_cache = []
+    alignment = options.alignment || ALIGN_BYTE
+    engineering = !!options.engineering
+    units = !!options.units
+    labels = !!options.labels
+    try {
+        return decoder_channels(bytes, map, platform, options)
+    } finally {
+        log_fn = saved.log_fn
+        log_level = saved.log_level
+        trace_fn = saved.trace_fn
+        trace_channel = saved.trace_channel
+        trace_path = saved.trace_path
+        scope_stack = saved.scope_stack
+        alignment = saved.alignment
+        engineering = saved.engineering
+        units = saved.units
+        labels = saved.labels
+        out_of_range = saved.out_of_range
+        realign_cache = saved.realign_cache
+    }
+}
+
+/* The channel loop of decoder() */
+function decoder_channels(bytes, map, platform, options) {
 
     var processor_data = {}
-    var result = RESULT_OK
+    var result = new_result()
     var bit_index = 0
     var bit_count = bytes.length << 3
+    var registry = (options.port !== undefined)
+    out_of_range = result.out_of_range
 
     platform.pre_process(processor_data)
     TRACE('Decoding ' + bytes.length + ' bytes')
 
-    while (bit_index < bit_count && result >= 0) {
-        var chan = bytes[bit_index >> 3]
+    /* CRC trailer: checked first, then left out of the channels */
+    var trailer = null
+    var trailer_bytes = 0
+    if (options.crc) {
+        trailer = has_key(crc_trailers, options.crc) ? crc_trailers[options.crc] : null
+        var crc_index = trailer ? bytes.length - trailer.bytes - 1 : -1
+        if (!trailer) {
+            ERROR('unknown CRC option ' + options.crc)
+            result.status = RESULT_ERROR
+        } else if (crc_index < 0 || bytes[crc_index] !== trailer.channel) {
+            ERROR('no ' + options.crc + ' trailer')
+            result.status = RESULT_CRC_MISMATCH
+        } else if (read_uint(bytes, crc_index + 1, trailer.bytes) !== trailer.fn(bytes, 0, crc_index)) {
+            ERROR(options.crc + ' mismatch')
+            result.status = RESULT_CRC_MISMATCH
+            result.channel = trailer.channel
+            result.bit_index = crc_index << 3
+        } else {
+            bytes = bytes.slice(0, crc_index)
+            bit_count = crc_index << 3
+            trailer_bytes += trailer.bytes + 1
+        }
+    }
+
+    /* authentication trailer, likewise */
+    var fragment = !!options.reassembly && bytes[0] === FRAGMENT_CHANNEL
+    var auth_counter = null
+    if (result.status == RESULT_OK && options.auth) {
+        var auth_index = authenticate(bytes, options.auth, result, fragment)
+        if (auth_index >= 0) {
+            auth_counter = read_uint(bytes, auth_index + 1, AUTH_COUNTER_BYTES)
+            trailer_bytes += bytes.length - auth_index
+            bytes = bytes.slice(0, auth_index)
+            bit_count = auth_index << 3
+        }
+        processor_data.authenticated = result.authenticated
+    }
+
+    /* fragment: decode the message once it is complete */
+    var pending = false
+    if (result.status == RESULT_OK && fragment) {
+        var message = reassemble(bytes, options.reassembly, options, result, auth_counter)
+        if (message) {
+            if (options.auth && options.auth.state) {
+                auth_advance(options.auth.state, message.counters)
+            }
+            bytes = message.bytes
+            bit_count = bytes.length << 3
+        } else {
+            pending = true
+            if (result.status == RESULT_OK) {
+                result.bytes_consumed = bytes.length
+            }
+        }
+    }
+
+    /* map version */
+    result.version = (options.version !== undefined) ? options.version : null
+    if (result.status == RESULT_OK && !pending && bytes[0] === VERSION_CHANNEL && (registry || !(VERSION_CHANNEL in map))) {
+        var version_out = []
+        var version_bits = varuint32_decoder(bytes, 8, version_out)
+        if (version_bits < 0) {
+            ERROR('bad version channel')
+            result.status = RESULT_ERROR
+            result.channel = VERSION_CHANNEL
+            result.bit_index = 8
+        } else {
+            result.version = version_out[0]
+            bit_index = 8 + version_bits
+            result.bytes_consumed = bit_index >> 3
+        }
+    }
+    if (registry && result.status == RESULT_OK && !pending) {
+        var version = registry_version(map, options.port, result.version)
+        if (version === null) {
+            ERROR('No channel map for port ' + options.port + ' version ' + result.version)
+            result.status = RESULT_MAP_NOT_FOUND
+        } else {
+            result.version = version
+            map = map[options.port][version]
+        }
+    }
+
+    /* fewer than 8 bits left can only be the padding of a packed payload */
+    while (result.status == RESULT_OK && !pending && bit_index + 8 <= bit_count) {
+        var chan = (bit_index & 0x7) ? capture_bits(bytes, bit_index, bit_index + 7) : bytes[bit_index >> 3]
         TRACE('Decode channel ' + chan + ' @ ' + bit_index)
-        bit_index += 8
+        trace_channel = chan
+        var data_index = bit_index + 8
+        var ext_bits = -1
+        if (is_extension_channel(chan)) {
+            /* length prefixed */
+            var len_out = []
+            var len_bits = (data_index & 0x7) ? varuint32_decoder(realign(bytes, data_index), data_index & ~0x7, len_out) : varuint32_decoder(bytes, data_index, len_out)
+            /* compared in bytes, since a length in bits may not fit in 32 bits */
+            if (len_bits < 0 || len_out[0] > (bit_count - data_index - len_bits) / 8) {
+                result.status = RESULT_ERROR
+                result.channel = chan
+                result.bit_index = data_index
+                ERROR('bad length of extension channel ' + chan + ' at bit offset ' + data_index)
+                break
+            }
+            data_index += len_bits
+            ext_bits = len_out[0] * 8
+        }
         if (chan in map) {
             var decoder = map[chan]
             var decoder_out = []
-            var res = decoder_run(bytes, bit_index, decoder_out, decoder.decoder)
+            var decoder_named = {}
+            var res = (decoder.steps && !trace_fn && log_level < LOG_DEBUG) ?
+                compiled_run(bytes, data_index, decoder_out, decoder.steps, decoder_named, result) :
+                decoder_run(bytes, data_index, decoder_out, decoder.decoder, decoder_named, result)
+            if (res > ext_bits && ext_bits >= 0) {
+                result.field = null
+                result.bit_index = data_index + ext_bits
+                res = RESULT_ERROR
+            }
             if (res < 0) {
-                result = res
-                ERROR('decoding ' + res)
+                result.status = res
+                result.channel = chan
+                ERROR('decoding channel ' + chan + ' field ' + result.field + ' at bit offset ' + result.bit_index + ': ' + res)
+                break
+            } else if (alignment === ALIGN_STRICT && ((data_index + res) & 0x7)) {
+                result.status = RESULT_NOT_ALIGNED
+                result.channel = chan
+                result.bit_index = data_index + res
+                ERROR('channel ' + chan + ' ends mid-byte at bit offset ' + result.bit_index)
                 break
             } else {
                 if (decoder.processor) {
-                    decoder.processor(decoder_out, processor_data)
+                    decoder.processor((decoder.output === OUTPUT_NAMED) ? decoder_named : decoder_out, processor_data)
                 }
-                bit_index += res
+                /* an extension channel may hold fields added since this map was written */
+                bit_index = data_index + ((ext_bits >= 0) ? ext_bits : res)
+                result.channels.push(chan)
             }
+        } else if (ext_bits >= 0) {
+            WARN('skipping unknown extension channel ' + chan + ' at bit offset ' + bit_index)
+            result.skipped.push({ channel: chan, bit_index: bit_index, length: ext_bits >> 3 })
+            bit_index = data_index + ext_bits
         } else {
             ERROR('Unknown channel (' + chan + ') in input at bit offset ' + (bit_index))
-            result = RESULT_CHANNEL_NOT_FOUND
+            result.status = RESULT_CHANNEL_NOT_FOUND
+            result.channel = chan
+            result.bit_index = bit_index
             break
         }
         /* At the end of this, we must jump to the next byte boundary, if not there already. */
-        if (bit_index & 0x7) {
-            TRACE('WARNING: non-byte-aligned after decoder at bit ' + bit_index)
+        if ((bit_index & 0x7) && alignment !== ALIGN_PACKED) {
+            WARN('non-byte-aligned after decoder at bit ' + bit_index)
             bit_index += 8
             bit_index &= ~(0x7)
         }
+        result.bytes_consumed = (bit_index + 7) >> 3
     }
 
-    if (result == RESULT_OK) {
-        TRACE('Decoder success!')
+    if (result.status == RESULT_OK) {
+        result.bytes_consumed += trailer_bytes
+    }
+    if (result.status == RESULT_OK) {
+        LOG(LOG_INFO, 'Decoder success!')
     } else {
         ERROR('Decoder FAILED!')
     }
 
     /* Return the data to the cloud platform */
-    return platform.post_process(processor_data)
+    return platform.post_process(processor_data, result)
+}
+
+function new_result() {
+    return {
+        status: RESULT_OK,
+        channel: null,
+        bit_index: null,
+        field: null,
+        bytes_consumed: 0,
+        channels: [],
+        skipped: [],
+        version: null,
+        out_of_range: [],
+        fragment: null,
+        authenticated: false
+    }
 }
 
 
@@ -591,19 +2264,82 @@ function decoder(bytes, map, platform) {
 module.exports = {
     /* core engine */
     decoder,
+    set_logger,
+    console_logger,
+    LOG_NONE,
+    LOG_ERROR,
+    LOG_WARN,
+    LOG_INFO,
+    LOG_DEBUG,
+    RESULT_OK,
+    RESULT_ERROR,
+    RESULT_NOT_ALIGNED,
+    RESULT_CHANNEL_NOT_FOUND,
+    RESULT_MAP_NOT_FOUND,
+    RESULT_CRC_MISMATCH,
+    RESULT_AUTH_FAILED,
+    RESULT_REPLAY,
+    OUTPUT_ARRAY,
+    OUTPUT_NAMED,
+    ENDIAN_LITTLE,
+    ENDIAN_BIG,
+    ALIGN_BYTE,
+    ALIGN_STRICT,
+    ALIGN_PACKED,
+    MAX_BITFIELD_BITS,
+    EXT_CHANNEL_MIN,
+    EXT_CHANNEL_MAX,
+    is_extension_channel,
+    VERSION_CHANNEL,
+    registry_version,
+    decoder_compile,
+    CRC_16,
+    CRC_32,
+    CRC16_CHANNEL,
+    CRC32_CHANNEL,
+    crc16,
+    crc32,
+    crc_trailers,
+    AUTH_CHANNEL,
+    AUTH_COUNTER_BYTES,
+    AUTH_TAG_BYTES,
+    new_auth_state,
+    FRAGMENT_CHANNEL,
+    FRAGMENT_HEADER_BYTES,
+    FRAGMENT_TIMEOUT,
+    new_reassembly_state,
+
+    /* type schema */
+    schema_resolve,
+    schema_decoder_map,
+    type_field_count,
+    signed_range,
+    fn_name,
+    type_first_field,
+    field_present,
 
     /* primitive decoders */
     bitfield_decoder,
-    //int8_decoder,
+    int8_decoder,
     uint8_decoder,
-    //int16_decoder,
-    //uint16_decoder,
-    //int32_decoder,
+    int16_decoder,
+    uint16_decoder,
+    int32_decoder,
     uint32_decoder,
-    //varint32_decoder,
+    int64_decoder,
+    uint64_decoder,
+    varint32_decoder,
     varuint32_decoder,
-    //array_decoder, /* array size is specified by a varuint32 up front */
-    //fixed_array_decoder,
+    varuint64_decoder,
+    float16_decoder,
+    float32_decoder,
+    array_decoder, /* array size is specified by a varuint32 up front */
+    timeseries_decoder,
+    fixed_array_decoder,
+    fixed_bytearray_decoder,
+    dynamic_bytearray_decoder,
+    fixed_string_decoder,
+    string_decoder,
     name_decoder,
 
     /* Sensor data decoders */
@@ -622,10 +2358,18 @@ module.exports = {
 
 
     time_decoder,
+    temperature_series_decoder,
     devstartup_decoder,
     faultinfo_decoder,
 
+    motion_flags,
+    particle_flags,
+    locmeta_flags,
+    time_flags,
+    reset_flags,
+
     /* Antelope */
+    antelope_chains,
     antelope_message_header_decoder,
     antelope_message_tapos_decoder,
     antelope_message_action_decoder,
@@ -25,17 +25,33 @@ SOFTWARE.
  * and create downlink payloads.
  */
 
-var DEBUG = true
 
-function TRACE_D(msg) {
-    if (DEBUG) {
-        console.log(msg)
-    }
+const elpp = require('./decoder')
+const inspect = require('util').inspect
+
+/* Logging
+ *
+ * The encoder is silent by default.  As for the decoder, a logger is a function (level, msg)
+ * installed with set_logger(logger, level) or for one encode with the 'logger' and 'log_level'
+ * encoder options.  The LOG_ levels are those of decoder.js.
+ */
+var log_fn = null
+var log_level = elpp.LOG_NONE
+
+function set_logger(logger, level) {
+    log_fn = logger || null
+    log_level = log_fn ? ((level === undefined) ? elpp.LOG_INFO : level) : elpp.LOG_NONE
 }
 
-const log = console.log
-const log_obj = function (obj) { console.dir(obj, { depth: null }) }
+function LOG(level, msg) {
+    if (log_fn && level <= log_level) {
+        log_fn(level, msg)
+    }
+}
 
+/* Emplace the unsigned value 'bits' at start_bit to end_bit (inclusive).
+ * Values wider than 32 bits are split with arithmetic rather than shifts, exact up to 53 bits.
+ */
 function emplace_bits(buf, start_bit, end_bit, bits) {
     /* Setup indices */
     var nbits = end_bit - start_bit + 1
@@ -44,7 +60,6 @@ function emplace_bits(buf, start_bit, end_bit, bits) {
     var byte_end = (end_bit / 8) >> 0
     var bit_end = (end_bit % 8) >> 0
 
-    TRACE_D('emplace ' + bits.toString(16) + ' : ' + nbits + ' byte_start ' + byte_start + ' bit_start ' + bit_start + ' byte_end ' + byte_end + ' bit_end ' + bit_end)
 
     /* Case 1: start and end bit land within same byte */
     if (byte_start == byte_end) {
@@ -56,34 +71,30 @@ function emplace_bits(buf, start_bit, end_bit, bits) {
         } else {
             buf.push(bits)
         }
-        TRACE_D('  B' + byte_start + ' bits ' + bits.toString(16))
     }
     /* Case 2: start and end bits land on different bytes */
     else {
         /* Emplace bits into first byte */
         nbits -= (8 - bit_start)
-        var byte = bits >> (nbits)
+        var byte = Math.floor(bits / Math.pow(2, nbits))
         byte &= 0xff
         if (byte_start < buf.length) {
             buf[byte_start] |= byte
         } else {
             buf.push(byte)
         }
-        TRACE_D('  B' + byte_start + ' byte ' + byte.toString(16))
         /* Emplace whole bytes between */
         for (var i = byte_start + 1; i < byte_end; i++) {
             nbits -= 8
-            byte = bits >> (nbits)
+            byte = Math.floor(bits / Math.pow(2, nbits))
             byte &= 0xff
             buf.push(byte)
-            TRACE_D('  B' + i + ' byte ' + byte.toString(16))
         }
         /* Emplace last byte */
         nbits -= (bit_end + 1)
         byte = bits << (7 - bit_end)
         byte &= 0xff
         buf.push(byte)
-        TRACE_D('  B' + byte_end + ' byte ' + byte.toString(16) + ' nbits ' + nbits)
 
     }
 }
@@ -92,22 +103,30 @@ function emplace_bits(buf, start_bit, end_bit, bits) {
 function bitfield_encoder(buf, bit_index, data, args) {
     if (args) {
         var bitn = args.i_bits + args.f_bits
-        /* perfrom a ceil function in case data overflows bitfield */
-        if (data >= (1 << (args.i_bits - args.sign))) {
-            log('positive overflow detected: ' + data + ' > ' + ((1 << (args.i_bits - args.sign)) - 1))
-            data = (1 << args.i_bits) - 1
-        } else if (args.sign && data < -(1 << (args.i_bits - 1))) {
-            log('negative overflow detected: ' + data + ' < ' + (-(1 << (args.i_bits - 1))))
-            data = -(1 << (args.i_bits - 1))
-        }
-
-        /* convert to scaled integer */
-        data = (data * (1 << args.f_bits)) >> 0
-        /* mask off unused bits */
-        data <<= 32 - bitn
-        data >>>= 32 - bitn
+        if (bitn > elpp.MAX_BITFIELD_BITS) {
+            LOG(elpp.LOG_ERROR, 'bitfield of ' + bitn + ' bits is wider than ' + elpp.MAX_BITFIELD_BITS)
+            return -1
+        }
+        var scale = Math.pow(2, args.f_bits)
+        /* convert to scaled integer, truncating any further fraction */
+        var value = data * scale
+        value = (value < 0) ? Math.ceil(value) : Math.floor(value)
+        /* clamp in case data overflows bitfield */
+        var max = Math.pow(2, bitn - args.sign) - 1
+        var min = args.sign ? -Math.pow(2, bitn - 1) : 0
+        if (value > max) {
+            LOG(elpp.LOG_WARN, 'positive overflow detected: ' + data + ' > ' + (max / scale))
+            value = max
+        } else if (value < min) {
+            LOG(elpp.LOG_WARN, 'negative overflow detected: ' + data + ' < ' + (min / scale))
+            value = min
+        }
+        /* two's complement of negative values */
+        if (value < 0) {
+            value += Math.pow(2, bitn)
+        }
         /* inject into byte array */
-        emplace_bits(buf, bit_index, bit_index + bitn - 1, data)
+        emplace_bits(buf, bit_index, bit_index + bitn - 1, value)
         return bitn
     }
 }
@@ -171,20 +190,225 @@ function uint8_encoder(buf, bit_index, data, args) {
     return 8
 }
 
+/* Push a 1 to 4 byte integer in the byte order of args.endian (default little) */
+function push_uint(buf, data, bytes, args) {
+    var big = (args && args.endian === elpp.ENDIAN_BIG)
+    for (var i = 0; i < bytes; i++) {
+        buf.push((data >>> ((big ? bytes - 1 - i : i) * 8)) & 0xff)
+    }
+}
+
 function uint16_encoder(buf, bit_index, data, args) {
-    buf.push((data >> 0) & 0xff)
-    buf.push((data >> 8) & 0xff)
+    push_uint(buf, data, 2, args)
     return 16
 }
 
 function uint32_encoder(buf, bit_index, data, args) {
-    buf.push((data >> 0) & 0xff)
-    buf.push((data >> 8) & 0xff)
-    buf.push((data >> 16) & 0xff)
-    buf.push((data >> 24) & 0xff)
+    push_uint(buf, data, 4, args)
     return 32
 }
 
+/* Signed encoders reject data outside the range of the type rather than wrap it */
+function check_range(data, min, max, name) {
+    if (typeof data !== 'number' || data < min || data > max || Math.floor(data) !== data) {
+        LOG(elpp.LOG_ERROR, name + ' out of range: ' + data + ' not an integer in [' + min + ', ' + max + ']')
+        return false
+    }
+    return true
+}
+
+function int8_encoder(buf, bit_index, data, args) {
+    if (!check_range(data, -0x80, 0x7f, 'int8')) {
+        return -1
+    }
+    buf.push(data & 0xff)
+    return 8
+}
+
+function int16_encoder(buf, bit_index, data, args) {
+    if (!check_range(data, -0x8000, 0x7fff, 'int16')) {
+        return -1
+    }
+    push_uint(buf, data, 2, args)
+    return 16
+}
+
+function int32_encoder(buf, bit_index, data, args) {
+    if (!check_range(data, -0x80000000, 0x7fffffff, 'int32')) {
+        return -1
+    }
+    push_uint(buf, data, 4, args)
+    return 32
+}
+
+/* 64-bit integers
+ *
+ * data may be a number (exact up to 2^53), a decimal string, or a BigInt.
+ * Values outside the range of the type are rejected.
+ */
+
+/* Parse data into unsigned 32-bit words of its magnitude and a sign, or null if it is not an integer */
+function parse_u64(data) {
+    var str = (typeof data === 'number') ? ((Math.floor(data) === data) ? data.toFixed(0) : '') : String(data)
+    var match = /^(-?)([0-9]+)$/.exec(str)
+    if (!match) {
+        return null
+    }
+    /* multiply-add into four 16-bit words, least significant first */
+    var words = [0, 0, 0, 0]
+    var digits = match[2]
+    for (var i = 0; i < digits.length; i++) {
+        var carry = digits.charCodeAt(i) - 48
+        for (var j = 0; j < 4; j++) {
+            var t = words[j] * 10 + carry
+            words[j] = t & 0xffff
+            carry = t >>> 16
+        }
+        if (carry) {
+            return { overflow: true, negative: match[1] == '-' }
+        }
+    }
+    return {
+        hi: ((words[3] << 16) | words[2]) >>> 0,
+        lo: ((words[1] << 16) | words[0]) >>> 0,
+        negative: (match[1] == '-') && (words[0] | words[1] | words[2] | words[3]) != 0
+    }
+}
+
+function push_u64(buf, hi, lo, args) {
+    var big = (args && args.endian === elpp.ENDIAN_BIG)
+    push_uint(buf, big ? hi : lo, 4, args)
+    push_uint(buf, big ? lo : hi, 4, args)
+}
+
+function uint64_encoder(buf, bit_index, data, args) {
+    var value = parse_u64(data)
+    if (!value || value.overflow || value.negative) {
+        LOG(elpp.LOG_ERROR, 'uint64 out of range: ' + data)
+        return -1
+    }
+    push_u64(buf, value.hi, value.lo, args)
+    return 64
+}
+
+function int64_encoder(buf, bit_index, data, args) {
+    var value = parse_u64(data)
+    /* magnitude up to 2^63 - 1, or 2^63 when negative */
+    if (!value || value.overflow || (value.hi > 0x7fffffff && !(value.negative && value.hi == 0x80000000 && value.lo == 0))) {
+        LOG(elpp.LOG_ERROR, 'int64 out of range: ' + data)
+        return -1
+    }
+    var hi = value.hi
+    var lo = value.lo
+    if (value.negative) {
+        lo = (~lo + 1) >>> 0
+        hi = (~hi + (lo == 0 ? 1 : 0)) >>> 0
+    }
+    push_u64(buf, hi, lo, args)
+    return 64
+}
+
+function varuint64_encoder(buf, bit_index, data, args) {
+    var value = parse_u64(data)
+    if (!value || value.overflow || value.negative) {
+        LOG(elpp.LOG_ERROR, 'varuint64 out of range: ' + data)
+        return -1
+    }
+    var hi = value.hi
+    var lo = value.lo
+    var n = 0
+    while (true) {
+        n++
+        var bits = lo & 0x7f
+        /* shift the 64-bit value right by 7 */
+        lo = ((lo >>> 7) | (hi << 25)) >>> 0
+        hi = hi >>> 7
+        if (hi || lo) {
+            buf.push(0x80 | bits)
+        } else {
+            buf.push(bits)
+            break
+        }
+    }
+    return n * 8
+}
+
+/* IEEE-754 floating point, half (float16) and single (float32) precision.
+ * Values are rounded to the nearest representable value (ties to even); values too
+ * large for the type become Infinity.
+ */
+function round_even(x) {
+    var f = Math.floor(x)
+    var d = x - f
+    if (d > 0.5 || (d == 0.5 && (f % 2) == 1)) {
+        f++
+    }
+    return f
+}
+
+function float_to_bits(value, e_bits, m_bits) {
+    var bias = (1 << (e_bits - 1)) - 1
+    var exp_max = (1 << e_bits) - 1
+    var m_scale = Math.pow(2, m_bits)
+    var sign = (value < 0 || (value === 0 && 1 / value < 0)) ? 1 : 0
+    var exp
+    var mant
+    value = Math.abs(value)
+    if (isNaN(value)) {
+        exp = exp_max
+        mant = m_scale / 2
+    } else if (value == Infinity) {
+        exp = exp_max
+        mant = 0
+    } else if (value == 0) {
+        exp = 0
+        mant = 0
+    } else {
+        exp = Math.floor(Math.log(value) / Math.LN2)
+        /* correct any rounding in the log */
+        if (Math.pow(2, exp) > value) {
+            exp--
+        } else if (Math.pow(2, exp + 1) <= value) {
+            exp++
+        }
+        if (exp < 1 - bias) {
+            /* subnormal, which may round up to the smallest normal */
+            mant = round_even(value / Math.pow(2, 1 - bias - m_bits))
+            exp = (mant >= m_scale) ? 1 : 0
+            mant %= m_scale
+        } else {
+            mant = round_even((value / Math.pow(2, exp) - 1) * m_scale)
+            if (mant >= m_scale) {
+                mant = 0
+                exp++
+            }
+            exp += bias
+            if (exp >= exp_max) {
+                exp = exp_max
+                mant = 0
+            }
+        }
+    }
+    return sign * Math.pow(2, e_bits + m_bits) + exp * m_scale + mant
+}
+
+function float16_encoder(buf, bit_index, data, args) {
+    if (typeof data !== 'number') {
+        LOG(elpp.LOG_ERROR, 'float16 not a number: ' + data)
+        return -1
+    }
+    push_uint(buf, float_to_bits(data, 5, 10), 2, args)
+    return 16
+}
+
+function float32_encoder(buf, bit_index, data, args) {
+    if (typeof data !== 'number') {
+        LOG(elpp.LOG_ERROR, 'float32 not a number: ' + data)
+        return -1
+    }
+    push_uint(buf, float_to_bits(data, 8, 23), 4, args)
+    return 32
+}
 
 /* data will be an [array] */
 function fixed_bytearray_encoder(buf, bit_index, data, args) {
@@ -215,14 +439,226 @@ function dynamic_bytearray_encoder(buf, bit_index, data, args) {
     return bits
 }
 
+/* Strings, see the string decoders.  Returns the bytes of 'data', or null if it can't be encoded. */
+function string_to_bytes(data, args) {
+    var ascii = (args && args.encoding == 'ascii')
+    var bytes = []
+    if (typeof data !== 'string') {
+        LOG(elpp.LOG_ERROR, 'not a string: ' + data)
+        return null
+    }
+    for (var i = 0; i < data.length; i++) {
+        var code = data.charCodeAt(i)
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < data.length) {
+            var low = data.charCodeAt(i + 1)
+            if (low >= 0xdc00 && low <= 0xdfff) {
+                code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00)
+                i++
+            }
+        }
+        if (code >= 0xd800 && code <= 0xdfff) {
+            /* a lone surrogate */
+            code = 0xfffd
+        }
+        if (code < 0x80) {
+            bytes.push(code)
+        } else if (ascii) {
+            LOG(elpp.LOG_ERROR, 'not an ASCII string: ' + data)
+            return null
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+        }
+    }
+    return bytes
+}
+
+/* data will be a string, padded with NULs to args.length bytes */
+function fixed_string_encoder(buf, bit_index, data, args) {
+    var bytes = string_to_bytes(data, args)
+    if (args && bytes) {
+        if (bytes.length > args.length) {
+            LOG(elpp.LOG_ERROR, 'string of ' + bytes.length + ' bytes is longer than ' + args.length + ': ' + data)
+            return -1
+        }
+        while (bytes.length < args.length) {
+            bytes.push(0)
+        }
+        return fixed_bytearray_encoder(buf, bit_index, bytes, args)
+    }
+    return -1
+}
+
+/* data will be a string */
+function string_encoder(buf, bit_index, data, args) {
+    var bytes = string_to_bytes(data, args)
+    if (bytes) {
+        return dynamic_bytearray_encoder(buf, bit_index, bytes)
+    }
+    return -1
+}
+
+/* Arrays of elements of any encoder type.
+ *   args.element - the element type: a type array (e.g. temperature_encoder) or a single field
+ *   args.length  - number of elements (fixed_array_encoder only)
+ *
+ * data will be an [array] of elements.  An element type with a single primitive field
+ * takes that field's value per element, any other type takes either an array of values
+ * (as returned by a provider) or an object keyed by field name (as decoded in named output mode).
+ */
+function fixed_array_encoder(buf, bit_index, data, args) {
+    if (args && args.element && data.length >= args.length) {
+        return array_elements_encoder(buf, bit_index, data.slice(0, args.length), args.element)
+    }
+    return -1
+}
+
+/* The array size is specified by a varuint32 up front */
+function array_encoder(buf, bit_index, data, args) {
+    if (args && args.element) {
+        var bits = varuint32_encoder(buf, bit_index, data.length)
+        var bits2 = array_elements_encoder(buf, bit_index + bits, data, args.element)
+        if (bits2 < 0) {
+            bits = -1
+        } else {
+            bits += bits2
+        }
+        return bits
+    }
+    return -1
+}
+
+function array_elements_encoder(buf, bit_index, data, element) {
+    var type = (element instanceof Array) ? element : [element]
+    var single = (elpp.type_field_count(type, 'encoder') == 1)
+    var encoded_bits = 0
+    for (var i = 0; i < data.length; i++) {
+        var provider
+        if (single) {
+            provider = [data[i]]
+        } else if (data[i] instanceof Array) {
+            provider = data[i].slice()
+        } else {
+            provider = named_values(type, data[i], [])
+        }
+        var res = encoder_run(buf, bit_index + encoded_bits, type, provider)
+        if (res < 0) {
+            return res
+        }
+        encoded_bits += res
+    }
+    return encoded_bits
+}
+
+/* Time series, see timeseries_decoder.
+ *   args.element - the sample value type, as for array_encoder
+ *   args.delta   - send each value as the difference from the previous one
+ *
+ * data will be an [array] of { time, value } samples in time order, time being the sample's
+ * epoch.  The base epoch is the time of the first sample.
+ */
+function timeseries_encoder(buf, bit_index, data, args) {
+    if (!args || !args.element || !(data instanceof Array)) {
+        return -1
+    }
+    var type = (args.element instanceof Array) ? args.element : [args.element]
+    var field = elpp.type_first_field(type, 'encoder')
+    if (args.delta && elpp.type_field_count(type, 'encoder') != 1) {
+        LOG(elpp.LOG_ERROR, 'a delta time series needs an element of a single field')
+        return -1
+    }
+    var delta_type = args.delta ? elpp.fn_name(field.fn, signed_encoders) : null
+    var range = args.delta ? elpp.signed_range(delta_type, field.args) : null
+    if (args.delta && !range) {
+        LOG(elpp.LOG_ERROR, 'a delta time series needs a signed element')
+        return -1
+    }
+    var time = data.length ? data[0].time : 0
+    if (!(time >= 0 && time <= 0xffffffff && Math.floor(time) === time)) {
+        LOG(elpp.LOG_ERROR, 'time series base epoch out of range: ' + time)
+        return -1
+    }
+    var encoded_bits = uint32_encoder(buf, bit_index, time)
+    encoded_bits += varuint32_encoder(buf, bit_index + encoded_bits, data.length)
+    var raw = 0
+    for (var i = 0; i < data.length; i++) {
+        var offset = data[i].time - time
+        if (!(offset >= 0 && offset <= 0xffffffff && Math.floor(offset) === offset)) {
+            LOG(elpp.LOG_ERROR, 'time series sample ' + i + ' not in time order: ' + data[i].time)
+            return -1
+        }
+        time = data[i].time
+        encoded_bits += varuint32_encoder(buf, bit_index + encoded_bits, offset)
+        var res
+        if (args.delta) {
+            /* the raw value, as encoder_run would encode it */
+            var value = data[i].value
+            if (value !== null && typeof value === 'object' && value.unit !== undefined) {
+                value = value.value
+            }
+            if (field.enum || field.flags) {
+                value = from_label(field, value)
+                if (value === null) {
+                    return -1
+                }
+            } else if (engineering && typeof value === 'number') {
+                value = from_engineering(field, value)
+            }
+            /* checked here, as the element's encoder may wrap or clamp it */
+            var delta = value - raw
+            if (!(delta >= range.min && delta <= range.max && (delta_type == 'bitfield' || Math.floor(delta) === delta))) {
+                LOG(elpp.LOG_ERROR, 'time series sample ' + i + ' delta out of range: ' + delta + ' not in [' + range.min + ', ' + range.max + ']')
+                return -1
+            }
+            res = encoder_run(buf, bit_index + encoded_bits, [{ fn: field.fn, args: field.args }], [delta])
+            raw = value
+        } else {
+            res = array_elements_encoder(buf, bit_index + encoded_bits, [data[i].value], args.element)
+        }
+        if (res < 0) {
+            return res
+        }
+        encoded_bits += res
+    }
+    return encoded_bits
+}
+
+/* The signed primitives a delta time series element may be */
+var signed_encoders = {
+    bitfield: bitfield_encoder,
+    int8: int8_encoder,
+    int16: int16_encoder,
+    int32: int32_encoder,
+    int64: int64_encoder,
+    varint32: varint32_encoder
+}
+
+/* Flatten an object keyed by field name into the list of values for the type's primitives */
+function named_values(type, obj, values) {
+    for (var i = 0; i < type.length; i++) {
+        var field = type[i]
+        if (field.length) {
+            named_values(field, obj, values)
+        } else if (field.encoder) {
+            named_values(field.encoder, obj[field_name(field, i)] || {}, values)
+        } else if (field.fn) {
+            values.push(obj[field_name(field, i)])
+        }
+    }
+    return values
+}
+
 /*--- Sensor type encoders -----------------------------------*/
 
 var temperature_encoder = [
-    { fn: bitfield_encoder, args: { sign: 1, i_bits: 12, f_bits: 4 } },
+    { fn: bitfield_encoder, args: { sign: 1, i_bits: 12, f_bits: 4 }, unit: '°C' },
 ]
 
 var particle_encoder = [
-    { fn: uint8_encoder, name: 'flags' },
+    { fn: uint8_encoder, name: 'flags', flags: elpp.particle_flags },
     { fn: bitfield_encoder, args: { sign: 0, i_bits: 10, f_bits: 0 } },
     { fn: bitfield_encoder, args: { sign: 0, i_bits: 10, f_bits: 0 } },
     { fn: bitfield_encoder, args: { sign: 0, i_bits: 10, f_bits: 0 } },
@@ -230,20 +666,29 @@ var particle_encoder = [
 ]
 
 var time_encoder = [
-    { fn: uint8_encoder },
+    { fn: uint8_encoder, flags: elpp.time_flags },
     { fn: uint32_encoder },
 ]
 
+var temperature_series_encoder = [
+    { fn: timeseries_encoder, args: { element: temperature_encoder } },
+]
+
 var accel_encoder = [
     { fn: varint32_encoder, name: 'x' },
     { fn: varint32_encoder, name: 'y' },
     { fn: varint32_encoder, name: 'z' }
 ]
 
+var motion_encoder = [
+    { fn: uint8_encoder, name: 'flags', flags: elpp.motion_flags },
+    { encoder: accel_encoder, name: 'accel' }
+]
+
 var battery_encoder = [
-    { fn: uint16_encoder, name: 'voltage_mv' },
-    { fn: bitfield_encoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'current_ua' },
-    { fn: bitfield_encoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'accum_current_uah' },
+    { fn: uint16_encoder, name: 'voltage', scale: 0.001, unit: 'V' },
+    { fn: bitfield_encoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'current', scale: 0.001, unit: 'mA' },
+    { fn: bitfield_encoder, args: { sign: 0, i_bits: 24, f_bits: 0 }, name: 'accum_current', scale: 0.001, unit: 'mAh' },
     temperature_encoder
 ]
 
@@ -256,7 +701,7 @@ which is 11 bytes for LoRaWAN (SF10 in NA)
 var devstartup_encoder = [
     /* Each byte is a digit; byte[0] is major, etc. Typically 3, possibly 4 digits */
     { fn: dynamic_bytearray_encoder, name: 'fw_ver' },
-    { fn: uint16_encoder, name: 'reset_flags' }
+    { fn: uint16_encoder, name: 'reset_flags', flags: elpp.reset_flags }
 ]
 
 /*--- Antelope protocol encoders -----------------------------*/
@@ -282,7 +727,7 @@ var antelope_message_header_encoder = [
 
 var antelope_message_tapos_encoder = [
     antelope_message_header_encoder,
-    { fn: uint8_encoder }, /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
+    { fn: uint8_encoder, enum: elpp.antelope_chains }, /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
     /* uint32 expiration, uint16 ref block, uint32 ref block prefix */
     { fn: fixed_bytearray_encoder, args: { length: 10 } }
     /* max_net, max_cpu and delay_sec set to 0. */
@@ -311,7 +756,7 @@ var antelope_message_signature_encoder = [
 /* Response to the tapos request */
 var antelope_message_tapos_resp_encoder = [
     /* chain id. 0 - TELOS testnet 1 - TELOS mainnet 2,3,4,5,6,7 reserved. */
-    { fn: bitfield_encoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'chain_id' },
+    { fn: bitfield_encoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'chain_id', enum: elpp.antelope_chains },
     /* request reference number - provided to tapos_resp downlink */
     { fn: bitfield_encoder, args: { sign: 0, i_bits: 4, f_bits: 0 }, name: 'req_id' },
     /* reference system time provided by server to use by device to set its system time.
@@ -326,16 +771,93 @@ var antelope_message_tapos_resp_encoder = [
     { fn: uint32_encoder, name: 'ref_block_prefix' },
 ]
 
+/*--- Type Schema -------------------------------------------*/
+
+/* See the schema format described in decoder.js.  The same schema resolves
+ * to an encoder map with the encoder primitives and types below.
+ */
+
+var encoder_primitives = {
+    bitfield: bitfield_encoder,
+    uint8: uint8_encoder,
+    uint16: uint16_encoder,
+    uint32: uint32_encoder,
+    int8: int8_encoder,
+    int16: int16_encoder,
+    int32: int32_encoder,
+    uint64: uint64_encoder,
+    int64: int64_encoder,
+    varuint64: varuint64_encoder,
+    float16: float16_encoder,
+    float32: float32_encoder,
+    varuint32: varuint32_encoder,
+    varint32: varint32_encoder,
+    name: name_encoder,
+    fixed_bytearray: fixed_bytearray_encoder,
+    dynamic_bytearray: dynamic_bytearray_encoder,
+    fixed_string: fixed_string_encoder,
+    string: string_encoder,
+    fixed_array: fixed_array_encoder,
+    array: array_encoder,
+    timeseries: timeseries_encoder,
+}
+
+var encoder_types = {
+    temperature: temperature_encoder,
+    particle: particle_encoder,
+    time: time_encoder,
+    temperature_series: temperature_series_encoder,
+    accel: accel_encoder,
+    motion: motion_encoder,
+    battery: battery_encoder,
+    devstartup: devstartup_encoder,
+    antelope_tapos: antelope_tapos_encoder,
+    antelope_message_header: antelope_message_header_encoder,
+    antelope_message_tapos: antelope_message_tapos_encoder,
+    antelope_message_action: antelope_message_action_encoder,
+    antelope_message_serialized_action: antelope_message_serialized_action_encoder,
+    antelope_message_signature: antelope_message_signature_encoder,
+    antelope_message_tapos_resp: antelope_message_tapos_resp_encoder,
+}
+
+/* Load a schema as an encoder map, suitable for passing to encoder().
+ * 'providers' is an object holding the provider functions named by the schema.
+ */
+function schema_encoder_map(schema, providers) {
+    return elpp.schema_resolve(schema, encoder_primitives, encoder_types, providers, 'encoder', 'provider')
+}
+
 /*------------------------------------------------------------*/
 
 
-function encoder_run(buf, bit_index, encoder, provider) {
+/* Raw values are recorded in 'named' by field name as they are encoded, for the presence
+ * rules of conditional fields (see decoder.js).
+ */
+var scope_stack = []
+
+/* alignment mode of the encode in progress */
+var alignment = elpp.ALIGN_BYTE
+var engineering = false
+
+function encoder_run(buf, bit_index, encoder, provider, named) {
     var encoded_bits = 0
+    named = named || {}
     for (var i = 0; i < encoder.length; i++) {
         var field_encoder = encoder[i]
         if (field_encoder.length) {
             /* follow the heirarchy */
-            var res = encoder_run(buf, bit_index + encoded_bits, field_encoder, provider)
+            var res = encoder_run(buf, bit_index + encoded_bits, field_encoder, provider, named)
+            if (res < 0) {
+                return res
+            } else {
+                encoded_bits += res
+            }
+        } else if (field_encoder.encoder) {
+            /* follow the heirarchy into a named sub-object */
+            var sub = named[field_name(field_encoder, i)] = {}
+            scope_stack.push(named)
+            var res = encoder_run(buf, bit_index + encoded_bits, field_encoder.encoder, provider, sub)
+            scope_stack.pop()
             if (res < 0) {
                 return res
             } else {
@@ -345,13 +867,43 @@ function encoder_run(buf, bit_index, encoder, provider) {
             /* run encoder now */
             if (field_encoder.fn) {
                 var data = provider.shift()
-                log(field_encoder.fn.name + ' encoding: ')
-                log_obj(data)
-                var res = field_encoder.fn(buf, bit_index + encoded_bits, data, field_encoder.args)
+                if (field_encoder.when && !elpp.field_present(field_encoder.when, named, scope_stack)) {
+                    /* absent conditional field */
+                    named[field_name(field_encoder, i)] = null
+                    continue
+                }
+                if (data !== null && typeof data === 'object' && data.unit !== undefined) {
+                    /* as given by the decoder's 'units' option */
+                    data = data.value
+                }
+                if (field_encoder.enum || field_encoder.flags) {
+                    data = from_label(field_encoder, data)
+                    if (data === null) {
+                        return -1
+                    }
+                } else if (engineering && typeof data === 'number') {
+                    data = from_engineering(field_encoder, data)
+                }
+                if (log_level >= elpp.LOG_DEBUG) {
+                    LOG(elpp.LOG_DEBUG, field_encoder.fn.name + ' encoding: ' + inspect(data, { depth: null }))
+                }
+                var at = bit_index + encoded_bits
+                var res
+                if ((at & 0x7) && alignment === elpp.ALIGN_PACKED && field_encoder.fn !== bitfield_encoder) {
+                    /* byte primitives encode aligned, then their bits are moved into place */
+                    var aligned = []
+                    res = field_encoder.fn(aligned, 0, data, field_encoder.args)
+                    if (res > 0) {
+                        emplace_aligned(buf, at, aligned, res)
+                    }
+                } else {
+                    res = field_encoder.fn(buf, at, data, field_encoder.args)
+                }
                 if (res < 0) {
                     return res
                 } else {
                     encoded_bits += res
+                    named[field_name(field_encoder, i)] = data
                 }
             }
         }
@@ -359,32 +911,293 @@ function encoder_run(buf, bit_index, encoder, provider) {
     return encoded_bits
 }
 
+function field_name(field, index) {
+    return field.name ? field.name : String(index)
+}
+
+/* The value of an enum label or a flag set object (see Enums and flag sets in decoder.js),
+ * or null if a label or flag is unknown.  Plain values are passed through.
+ */
+function from_label(field, data) {
+    var key
+    if (typeof data === 'string' && field.enum) {
+        for (key in field.enum) {
+            if (field.enum[key] === data) {
+                return Number(key)
+            }
+        }
+        LOG(elpp.LOG_ERROR, 'unknown enum label: ' + data)
+        return null
+    }
+    if (data !== null && typeof data === 'object' && field.flags) {
+        var value = 0
+        for (var flag in data) {
+            var bit = null
+            for (key in field.flags) {
+                if (field.flags[key] === flag) {
+                    bit = Number(key)
+                }
+            }
+            var match = /^bit([0-9]+)$/.exec(flag)
+            if (bit === null && match) {
+                bit = Number(match[1])
+            }
+            if (bit === null) {
+                LOG(elpp.LOG_ERROR, 'unknown flag: ' + flag)
+                return null
+            }
+            if (data[flag]) {
+                value += Math.pow(2, bit)
+            }
+        }
+        return value
+    }
+    return data
+}
+
+/* The raw value of an engineering value (see Engineering units in decoder.js) */
+function from_engineering(field, value) {
+    var raw = (value - ((field.offset !== undefined) ? field.offset : 0)) / ((field.scale !== undefined) ? field.scale : 1)
+    /* drop the rounding error of scales like 0.001 that have no exact binary value */
+    var whole = Math.round(raw)
+    if (Math.abs(raw - whole) < 1e-9 * Math.max(1, Math.abs(raw))) {
+        raw = whole
+    }
+    return raw
+}
+
+/* Emplace the first bit_count bits of the byte array 'aligned' at any bit_index */
+function emplace_aligned(buf, bit_index, aligned, bit_count) {
+    for (var i = 0; i < bit_count; i += 8) {
+        var n = Math.min(8, bit_count - i)
+        emplace_bits(buf, bit_index + i, bit_index + i + n - 1, aligned[i >> 3] >> (8 - n))
+    }
+}
+
+/* Encode the data of an extension channel, prefixed by its length in bytes (see decoder.js) */
+function extension_encoder(buf, bit_index, encoder, provider) {
+    var data = []
+    var res = encoder_run(data, 0, encoder, provider)
+    if (res < 0) {
+        return res
+    }
+    var framed = []
+    var len_bits = varuint32_encoder(framed, 0, data.length)
+    emplace_aligned(buf, bit_index, framed.concat(data), len_bits + (data.length << 3))
+    return len_bits + (data.length << 3)
+}
+
+/* Drop everything from bit_index on */
+function truncate_bits(buf, bit_index) {
+    buf.length = (bit_index + 7) >> 3
+    if (bit_index & 0x7) {
+        buf[buf.length - 1] &= (0xff << (8 - (bit_index & 0x7))) & 0xff
+    }
+}
+
 /* This encoder gets the input data from the 'providers' assigned to each channel in the map,
  * which must return an array of values that are consumed by each primitive encoder composing the type.
  *
  * The order of encoding is defined by the list of channel numbers.
+ *
+ * Options (all optional):
+ *   logger, log_level - as for the decoder
+ *   alignment         - channel alignment mode, as for the decoder (elpp.ALIGN_BYTE, ALIGN_STRICT
+ *                       or ALIGN_PACKED).  In strict mode a channel that ends mid-byte is left out.
+ *   port              - 'encoder_map' is a map registry, as for the decoder
+ *   version           - map version: the payload starts with a version channel carrying it
+ *   engineering       - providers give engineering values, as output by the decoder's 'engineering' option
+ *   crc               - append a CRC trailer (elpp.CRC_16 or CRC_32), see decoder.js
+ *   auth              - append an authentication trailer, see Authentication in decoder.js
+ */
+function encoder(channel_list, encoder_map, options) {
+    /* The encode state is module-level, so save the caller's and restore it when done:
+     * a provider may itself call encoder(). */
+    var saved = {
+        log_fn: log_fn,
+        log_level: log_level,
+        scope_stack: scope_stack,
+        alignment: alignment,
+        engineering: engineering
+    }
+    options = options || {}
+    if (options.logger !== undefined) {
+        set_logger(options.logger, options.log_level)
+    } else if (options.log_level !== undefined) {
+        log_level = options.log_level
+    }
+    scope_stack = []
+    alignment = options.alignment || elpp.ALIGN_BYTE
+    engineering = !!options.engineering
+    try {
+        if (options.port !== undefined) {
+            var version = elpp.registry_version(encoder_map, options.port, options.version)
+            if (version === null) {
+                LOG(elpp.LOG_ERROR, 'no encoder map for port ' + options.port + ' version ' + options.version)
+                return []
+            }
+            encoder_map = encoder_map[options.port][version]
+        }
+        var buf = encoder_channels(channel_list, encoder_map, options.version)
+        if (options.auth && !append_auth(buf, options.auth, options.auth.counter)) {
+            return []
+        }
+        if (options.crc && !append_crc(buf, options.crc)) {
+            return []
+        }
+        return buf
+    } finally {
+        log_fn = saved.log_fn
+        log_level = saved.log_level
+        scope_stack = saved.scope_stack
+        alignment = saved.alignment
+        engineering = saved.engineering
+    }
+}
+
+/* The CRC trailer of a 'crc' option, or null if unknown */
+function crc_trailer(crc) {
+    if (!Object.prototype.hasOwnProperty.call(elpp.crc_trailers, crc)) {
+        LOG(elpp.LOG_ERROR, 'unknown CRC option ' + crc)
+        return null
+    }
+    return elpp.crc_trailers[crc]
+}
+
+/* Append the CRC trailer of a 'crc' option, returning false if the option is unknown */
+function append_crc(buf, crc) {
+    var trailer = crc_trailer(crc)
+    if (!trailer) {
+        return false
+    }
+    /* covers everything before the trailer's channel byte */
+    var value = trailer.fn(buf, 0, buf.length)
+    buf.push(trailer.channel)
+    push_uint(buf, value, trailer.bytes)
+    return true
+}
+
+/* Append an authentication trailer with 'counter', returning false if it can't be made */
+function append_auth(buf, auth, counter) {
+    var tag_bytes = auth.tag_bytes || elpp.AUTH_TAG_BYTES
+    if (!(counter >= 0 && counter <= 0xffffffff && Math.floor(counter) === counter)) {
+        LOG(elpp.LOG_ERROR, 'authentication counter out of range: ' + counter)
+        return false
+    }
+    buf.push(elpp.AUTH_CHANNEL)
+    push_uint(buf, counter, elpp.AUTH_COUNTER_BYTES)
+    var mac = auth.mac(auth.key, buf)
+    if (!mac || mac.length < tag_bytes) {
+        LOG(elpp.LOG_ERROR, 'MAC shorter than ' + tag_bytes + ' bytes')
+        return false
+    }
+    for (var i = 0; i < tag_bytes; i++) {
+        buf.push(mac[i])
+    }
+    return true
+}
+
+/* Encode a channel list as payloads of at most options.mtu bytes.  A message too large for one
+ * payload is split into fragments (see Fragmentation in decoder.js) numbered with
+ * options.message_id (0 to 255, e.g. a counter kept by the device).  The other options are as
+ * for encoder(); each payload gets its own authentication and CRC trailers, the authentication
+ * counters counting up from options.auth.counter.
+ *
+ * Returns the list of payloads, or [] if the message is empty, could not be encoded or needs
+ * more than 255 fragments.
  */
-function encoder(channel_list, encoder_map) {
+function encoder_split(channel_list, encoder_map, options) {
+    options = options || {}
+    var message_options = {}
+    for (var key in options) {
+        if (key != 'crc' && key != 'auth') {
+            message_options[key] = options[key]
+        }
+    }
+    var message = encoder(channel_list, encoder_map, message_options)
+    if (!message.length) {
+        return []
+    }
+    var trailer_bytes = 0
+    if (options.auth) {
+        trailer_bytes += 1 + elpp.AUTH_COUNTER_BYTES + (options.auth.tag_bytes || elpp.AUTH_TAG_BYTES)
+    }
+    if (options.crc) {
+        var trailer = crc_trailer(options.crc)
+        if (!trailer) {
+            return []
+        }
+        trailer_bytes += trailer.bytes + 1
+    }
+    var payloads = []
+    if (message.length + trailer_bytes <= options.mtu) {
+        payloads.push(message)
+    } else {
+        var chunk = options.mtu - trailer_bytes - elpp.FRAGMENT_HEADER_BYTES
+        var count = Math.ceil(message.length / chunk)
+        if (!(chunk > 0) || count > 255) {
+            LOG(elpp.LOG_ERROR, 'message of ' + message.length + ' bytes does not fit in 255 fragments of ' + options.mtu + ' bytes')
+            return []
+        }
+        for (var i = 0; i < count; i++) {
+            var header = [elpp.FRAGMENT_CHANNEL, (options.message_id || 0) & 0xff, i, count]
+            payloads.push(header.concat(message.slice(i * chunk, (i + 1) * chunk)))
+        }
+    }
+    for (var p = 0; p < payloads.length; p++) {
+        if (options.auth && !append_auth(payloads[p], options.auth, options.auth.counter + p)) {
+            return []
+        }
+        if (options.crc) {
+            append_crc(payloads[p], options.crc)
+        }
+    }
+    return payloads
+}
+
+/* The channel loop of encoder() */
+function encoder_channels(channel_list, encoder_map, version) {
     var buf = [] /* simple array of 8-bit values */
     var bit_index = 0
+    if (version !== undefined) {
+        buf.push(elpp.VERSION_CHANNEL)
+        bit_index = 8 + varuint32_encoder(buf, 8, version)
+    }
     /* consume values in the encoders */
     for (c in channel_list) {
         var chan = channel_list[c]
-        log('encoding channel ' + chan)
+        LOG(elpp.LOG_DEBUG, 'encoding channel ' + chan)
         if (chan in encoder_map) {
             var encoder = encoder_map[chan]
+            var chan_index = bit_index
             /* encode the channel */
-            buf.push(chan)
+            emplace_bits(buf, bit_index, bit_index + 7, chan)
             bit_index += 8
             /* run the encoder heiarchy */
-            var res = encoder_run(buf, bit_index, encoder.encoder, encoder.provider())
+            var res
+            if (elpp.is_extension_channel(chan)) {
+                res = extension_encoder(buf, bit_index, encoder.encoder, encoder.provider())
+            } else {
+                res = encoder_run(buf, bit_index, encoder.encoder, encoder.provider())
+            }
             if (res < 0) {
-                log('ERROR encoding ' + encoder_map[chan].encoder.name)
+                /* leave out what was written of the channel, which would not decode */
+                LOG(elpp.LOG_ERROR, 'encoding channel ' + chan + ': ' + res)
+                truncate_bits(buf, chan_index)
+                bit_index = chan_index
+            } else if (alignment === elpp.ALIGN_STRICT && ((bit_index + res) & 0x7)) {
+                LOG(elpp.LOG_ERROR, 'channel ' + chan + ' ends mid-byte, left out')
+                truncate_bits(buf, chan_index)
+                bit_index = chan_index
             } else {
                 bit_index += res
             }
+            if (alignment !== elpp.ALIGN_PACKED) {
+                /* next channel on the next byte boundary */
+                bit_index = buf.length << 3
+            }
         } else {
-            log('ERROR: channel ' + chan + ' not found in map')
+            LOG(elpp.LOG_ERROR, 'channel ' + chan + ' not found in map')
         }
     }
 
@@ -394,19 +1207,34 @@ function encoder(channel_list, encoder_map) {
 module.exports = {
 
     encoder,
+    encoder_split,
+    set_logger,
+
+    /* type schema */
+    schema_encoder_map,
 
     /* primitive encoders */
     bitfield_encoder,
-    //int8_encoder,
+    int8_encoder,
     uint8_encoder,
-    //int16_encoder,
-    //uint16_encoder,
-    //int32_encoder,
+    int16_encoder,
+    uint16_encoder,
+    int32_encoder,
     uint32_encoder,
-    //varint32_encoder,
+    int64_encoder,
+    uint64_encoder,
+    varint32_encoder,
     varuint32_encoder,
-    //array_encoder, /* array size is specified by a varuint32 up front */
-    //fixed_array_encoder,
+    varuint64_encoder,
+    float16_encoder,
+    float32_encoder,
+    array_encoder, /* array size is specified by a varuint32 up front */
+    timeseries_encoder,
+    fixed_array_encoder,
+    fixed_bytearray_encoder,
+    dynamic_bytearray_encoder,
+    fixed_string_encoder,
+    string_encoder,
     name_encoder,
 
     /* Sensor data encoders */
@@ -414,7 +1242,9 @@ module.exports = {
     temperature_encoder,
     particle_encoder,
     accel_encoder,
+    motion_encoder,
     time_encoder,
+    temperature_series_encoder,
     devstartup_encoder,
 
     /* Antelope */
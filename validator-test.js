@@ -0,0 +1,151 @@
+const assert = require('assert')
+const fs = require('fs')
+const elpp = require('./decoder')
+const encoder = require('./encoder')
+const validator = require('./validator')
+
+const log = console.log
+
+log('starting validator tests')
+
+/*------ Built-in types and maps ------------------------*/
+log('== built-in maps ==')
+
+var builtin_map = {}
+var builtin_names = ['temperature', 'adc', 'location', 'humidity', 'pressure', 'particle', 'accel', 'motion',
+    'locmeta', 'satcom', 'satmeta', 'battery', 'time', 'devstartup', 'faultinfo',
+    'antelope_message_tapos', 'antelope_message_action', 'antelope_message_serialized_action',
+    'antelope_message_signature', 'antelope_message_tapos_req', 'temperature_series']
+builtin_names.forEach(function (name, i) {
+    builtin_map[i] = { decoder: elpp[name + '_decoder'] }
+})
+var builtin = validator.validate_map(builtin_map, 'decoder')
+assert.deepStrictEqual(builtin.errors, [])
+assert.deepStrictEqual(builtin.sizes[0], { min: 16, max: 16 })
+/* flags, then x, y, z varint32 */
+assert.deepStrictEqual(builtin.sizes[builtin_names.indexOf('motion')], { min: 32, max: 128 })
+assert.deepStrictEqual(builtin.sizes[builtin_names.indexOf('devstartup')], { min: 24, max: Infinity })
+assert.deepStrictEqual(builtin.sizes[builtin_names.indexOf('temperature_series')], { min: 40, max: Infinity })
+
+var standard_schema = JSON.parse(fs.readFileSync(__dirname + '/schemas/elpp-standard.json', 'utf8'))
+var standard_processors = {}
+for (var chan in standard_schema.channels) {
+    standard_processors[standard_schema.channels[chan].processor] = function () { }
+}
+var standard_map = elpp.schema_decoder_map(standard_schema, standard_processors)
+assert.deepStrictEqual(validator.validate_map(standard_map, 'decoder').errors, [])
+
+var encoder_map = {
+    0: { encoder: encoder.temperature_encoder, provider: function () { return [21.5] } },
+    6: { encoder: encoder.particle_encoder, provider: function () { return [0, 1, 2, 3, 4] } },
+    0xe1: { encoder: encoder.devstartup_encoder, provider: function () { return [[1, 2, 3], 0] } },
+}
+var encoder_res = validator.validate_map(encoder_map, 'encoder')
+assert.deepStrictEqual(encoder_res.errors, [])
+assert.deepStrictEqual(encoder_res.sizes, { 0: { min: 16, max: 16 }, 6: { min: 48, max: 48 }, 0xe1: { min: 32, max: Infinity } })
+
+log('built-in map tests passed')
+
+/*------ Problems ------------------------*/
+log('== problems ==')
+
+var bad_map = {
+    1: {
+        decoder: [
+            { fn: elpp.bitfield_decoder, args: { sign: 1, i_bits: 50, f_bits: 4 } },
+            { name: 'nothing' },
+            { fn: elpp.fixed_bytearray_decoder },
+            { fn: elpp.fixed_bytearray_decoder, args: { length: -1 } },
+            { decoder: [{ fn: elpp.array_decoder, args: {} }], name: 'inner' },
+            { fn: elpp.uint16_decoder, args: { endian: 'middle' } },
+            { fn: elpp.uint8_decoder, when: { field: 'later', bit: 0 } },
+            { fn: elpp.uint8_decoder, name: 'later' },
+            { fn: 'uint8' },
+            { fn: elpp.uint8_decoder, scale: 0, unit: 'V' },
+            { fn: elpp.uint8_decoder, min: 10, max: 0 },
+            { fn: elpp.uint8_decoder, flags: { 0: 'ok', top: 'bad' } },
+        ],
+        processor: 'not a function',
+        output: 'flat'
+    },
+    '01': { decoder: elpp.temperature_decoder },
+    256: { decoder: elpp.temperature_decoder },
+    3: { processor: function () { } },
+}
+var bad = validator.validate_map(bad_map, 'decoder')
+assert.deepStrictEqual(bad.errors, [
+    { path: '1.processor', message: 'processor is not a function' },
+    { path: '1.output', message: 'unknown output mode \'flat\'' },
+    { path: '1.decoder[0].args', message: 'bitfield of 54 bits, must be 1 to 53' },
+    { path: '1.decoder[1]', message: 'field has no fn, nested type or \'decoder\' type' },
+    { path: '1.decoder[2].args', message: 'fixed_bytearray needs args' },
+    { path: '1.decoder[3].args.length', message: 'fixed_bytearray needs a whole length' },
+    { path: '1.decoder[4].decoder[0].args.element', message: 'array needs an element type' },
+    { path: '1.decoder[5].args.endian', message: 'unknown byte order \'middle\'' },
+    { path: '1.decoder[6].when.field', message: 'no earlier field \'later\'' },
+    { path: '1.decoder[8].fn', message: 'fn is not a function' },
+    { path: '1.decoder[9].scale', message: 'scale must be a non-zero number' },
+    { path: '1.decoder[10].min', message: 'valid range min 10 is above max 0' },
+    { path: '1.decoder[11].flags.top', message: 'flag bit must be a whole number' },
+    { path: '3.decoder', message: 'channel has no decoder type' },
+    { path: '256', message: 'channel must be a number from 0 to 255' },
+    { path: '01', message: 'duplicate of channel 1' },
+])
+
+/* Channels reserved for headers and trailers */
+assert.deepStrictEqual(validator.validate_map({
+    0xf0: { decoder: elpp.temperature_decoder },
+    0xf1: { decoder: elpp.temperature_decoder },
+    0xf2: { decoder: elpp.temperature_decoder },
+    0xfc: { decoder: elpp.temperature_decoder },
+    0xfe: { decoder: elpp.temperature_decoder },
+    0xff: { decoder: elpp.temperature_decoder },
+}, 'decoder').errors, [
+    { path: '240', message: 'channel 240 is reserved for the version header' },
+    { path: '241', message: 'channel 241 is reserved for fragmentation' },
+    { path: '252', message: 'channel 252 is reserved for the authentication trailer' },
+    { path: '254', message: 'channel 254 is reserved for the CRC-16 trailer' },
+    { path: '255', message: 'channel 255 is reserved for the CRC-32 trailer' },
+])
+
+/* Encoder maps need a provider */
+assert.deepStrictEqual(validator.validate_map({ 0: { encoder: encoder.temperature_encoder } }, 'encoder').errors, [
+    { path: '0.provider', message: 'provider is not a function' }
+])
+
+/* Conditional fields are optional in the size */
+var cond = validator.validate_map({
+    2: { decoder: [{ fn: elpp.uint8_decoder, name: 'flags' }, { decoder: [{ fn: elpp.uint32_decoder, when: { field: 'flags', bit: 1 } }], name: 'sub' }] }
+}, 'decoder')
+assert.deepStrictEqual(cond.errors, [])
+assert.deepStrictEqual(cond.sizes[2], { min: 8, max: 40 })
+
+/* Strings */
+var strings_res = validator.validate_map({
+    4: { decoder: [{ fn: elpp.fixed_string_decoder, args: { length: 6 } }, { fn: elpp.string_decoder, args: { encoding: 'latin1' } }] }
+}, 'decoder')
+assert.deepStrictEqual(strings_res.errors, [{ path: '4.decoder[1].args.encoding', message: 'unknown string encoding \'latin1\'' }])
+assert.deepStrictEqual(strings_res.sizes[4], { min: 56, max: Infinity })
+
+/* Time series */
+assert.deepStrictEqual(validator.validate_map({
+    5: { decoder: [{ fn: elpp.timeseries_decoder, args: { element: elpp.accel_decoder, delta: true } }] }
+}, 'decoder').errors, [{ path: '5.decoder[0].args.delta', message: 'a delta time series needs an element of a single field' }])
+assert.deepStrictEqual(validator.validate_map({
+    5: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: { fn: encoder.uint8_encoder }, delta: true } }], provider: function () { return [[]] } },
+    6: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: { fn: encoder.bitfield_encoder, args: { i_bits: 4, f_bits: 0, sign: 0 } }, delta: true } }], provider: function () { return [[]] } },
+    7: { encoder: [{ fn: encoder.timeseries_encoder, args: { element: { fn: encoder.bitfield_encoder, args: { i_bits: 4, f_bits: 0, sign: 1 } }, delta: true } }], provider: function () { return [[]] } }
+}, 'encoder').errors, [
+    { path: '5.encoder[0].args.delta', message: 'a delta time series needs a signed element' },
+    { path: '6.encoder[0].args.delta', message: 'a delta time series needs a signed element' }
+])
+
+/* Registries */
+var registry_res = validator.validate_registry({ 9: { 1: builtin_map, 2: bad_map } }, 'decoder')
+assert.strictEqual(registry_res.errors.length, bad.errors.length)
+assert.strictEqual(registry_res.errors[0].path, '9.2.1.processor')
+assert.deepStrictEqual(registry_res.sizes[9][1], builtin.sizes)
+
+assert.throws(function () { validator.validate_map({}, 'decoders') }, /kind/)
+
+log('problem tests passed')
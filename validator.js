@@ -0,0 +1,311 @@
+/*
+Copyright (c) 2023 Firmware Modules Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * The validator checks channel maps and type definitions before they meet real data,
+ * e.g. in CI against every product map.
+ *
+ *   validate_map(map, kind)           - kind is 'decoder' or 'encoder'
+ *   validate_registry(registry, kind) - every map of a map registry (see decoder.js)
+ *
+ * return
+ *
+ *   {
+ *     errors: [{ path, message }, ...]  every problem found, e.g. path '5.decoder[1].args.length'
+ *     sizes: { channel: { min, max } }  encoded size of each channel's type in bits, not counting
+ *                                       the channel byte.  max is Infinity for unbounded types.
+ *   }
+ */
+
+const elpp = require('./decoder')
+const encoder = require('./encoder')
+
+/* Encoded size in bits of the primitives, by name.  null sizes depend on the args. */
+var primitive_sizes = {
+    uint8: { min: 8, max: 8 },
+    int8: { min: 8, max: 8 },
+    uint16: { min: 16, max: 16 },
+    int16: { min: 16, max: 16 },
+    float16: { min: 16, max: 16 },
+    uint32: { min: 32, max: 32 },
+    int32: { min: 32, max: 32 },
+    float32: { min: 32, max: 32 },
+    uint64: { min: 64, max: 64 },
+    int64: { min: 64, max: 64 },
+    name: { min: 64, max: 64 },
+    varuint32: { min: 8, max: 40 },
+    varint32: { min: 8, max: 40 },
+    varuint64: { min: 8, max: 80 },
+    bitfield: null,
+    fixed_bytearray: null,
+    dynamic_bytearray: null,
+    fixed_string: null,
+    string: null,
+    fixed_array: null,
+    array: null,
+    timeseries: null,
+}
+
+/* Channels the protocol reads as headers and trailers, so a map's entry for one is never reached */
+var reserved_channels = {}
+reserved_channels[elpp.VERSION_CHANNEL] = 'the version header'
+reserved_channels[elpp.FRAGMENT_CHANNEL] = 'fragmentation'
+reserved_channels[elpp.AUTH_CHANNEL] = 'the authentication trailer'
+reserved_channels[elpp.CRC16_CHANNEL] = 'the CRC-16 trailer'
+reserved_channels[elpp.CRC32_CHANNEL] = 'the CRC-32 trailer'
+
+/* The name of a primitive function, or null for a custom one */
+function primitive_name(fn, kind) {
+    var module = (kind == 'decoder') ? elpp : encoder
+    for (var name in primitive_sizes) {
+        if (module[name + '_' + kind] === fn) {
+            return name
+        }
+    }
+    return null
+}
+
+function is_count(value) {
+    return typeof value === 'number' && value >= 0 && Math.floor(value) === value
+}
+
+/* Check a type array, adding its problems to 'errors'.  'scopes' holds the field names
+ * of the enclosing types, for the conditions of conditional fields.
+ * Returns the type's size.
+ */
+function validate_type(type, kind, path, errors, scopes) {
+    var size = { min: 0, max: 0 }
+    var names = {}
+    scopes = scopes.concat([names])
+    if (!(type instanceof Array)) {
+        errors.push({ path: path, message: 'type is not an array of fields' })
+        return size
+    }
+    for (var i = 0; i < type.length; i++) {
+        var field = type[i]
+        var field_path = path + '[' + i + ']'
+        var field_size
+        if (field instanceof Array) {
+            field_size = validate_type(field, kind, field_path, errors, scopes)
+            /* a bare nested type adds its fields to this one */
+            for (var key in field_size.names) {
+                names[key] = true
+            }
+        } else if (field && field[kind]) {
+            field_size = validate_type(field[kind], kind, field_path + '.' + kind, errors, scopes)
+            names[field.name ? field.name : String(i)] = true
+        } else if (field && field.fn) {
+            field_size = validate_field(field, kind, field_path, errors, scopes)
+            names[field.name ? field.name : String(i)] = true
+        } else {
+            errors.push({ path: field_path, message: 'field has no fn, nested type or \'' + kind + '\' type' })
+            continue
+        }
+        if (field.when) {
+            field_size = { min: 0, max: field_size.max }
+        }
+        size.min += field_size.min
+        size.max += field_size.max
+    }
+    size.names = names
+    return size
+}
+
+function validate_field(field, kind, path, errors, scopes) {
+    var args = field.args
+    var size = { min: 0, max: Infinity }
+    if (typeof field.fn !== 'function') {
+        errors.push({ path: path + '.fn', message: 'fn is not a function' })
+        return size
+    }
+    if (field.when) {
+        validate_when(field.when, path + '.when', errors, scopes)
+    }
+    if (field.scale !== undefined && (typeof field.scale !== 'number' || !isFinite(field.scale) || field.scale == 0)) {
+        errors.push({ path: path + '.scale', message: 'scale must be a non-zero number' })
+    }
+    if (field.offset !== undefined && (typeof field.offset !== 'number' || !isFinite(field.offset))) {
+        errors.push({ path: path + '.offset', message: 'offset must be a number' })
+    }
+    if (field.enum !== undefined && (field.enum === null || typeof field.enum !== 'object')) {
+        errors.push({ path: path + '.enum', message: 'enum must be an object of value => label' })
+    }
+    if (field.flags !== undefined) {
+        if (field.flags === null || typeof field.flags !== 'object') {
+            errors.push({ path: path + '.flags', message: 'flags must be an object of bit => name' })
+        } else {
+            for (var bit in field.flags) {
+                if (!is_count(Number(bit))) {
+                    errors.push({ path: path + '.flags.' + bit, message: 'flag bit must be a whole number' })
+                }
+            }
+        }
+    }
+    if (field.min !== undefined && field.max !== undefined && !(field.min <= field.max)) {
+        errors.push({ path: path + '.min', message: 'valid range min ' + field.min + ' is above max ' + field.max })
+    }
+    if (args && args.endian !== undefined && args.endian !== elpp.ENDIAN_LITTLE && args.endian !== elpp.ENDIAN_BIG) {
+        errors.push({ path: path + '.args.endian', message: 'unknown byte order \'' + args.endian + '\'' })
+    }
+    if (args && args.encoding !== undefined && args.encoding !== 'utf8' && args.encoding !== 'ascii') {
+        errors.push({ path: path + '.args.encoding', message: 'unknown string encoding \'' + args.encoding + '\'' })
+    }
+    var name = primitive_name(field.fn, kind)
+    if (name === null) {
+        /* a custom primitive, of unknown size */
+        return size
+    }
+    if (primitive_sizes[name]) {
+        return primitive_sizes[name]
+    }
+    if (name == 'dynamic_bytearray' || name == 'string') {
+        return { min: 8, max: Infinity }
+    }
+    if (!args) {
+        errors.push({ path: path + '.args', message: name + ' needs args' })
+        return size
+    }
+    if (name == 'bitfield') {
+        if (!is_count(args.i_bits) || !is_count(args.f_bits)) {
+            errors.push({ path: path + '.args', message: 'bitfield needs whole i_bits and f_bits' })
+        } else if (args.i_bits + args.f_bits < 1 || args.i_bits + args.f_bits > elpp.MAX_BITFIELD_BITS) {
+            errors.push({ path: path + '.args', message: 'bitfield of ' + (args.i_bits + args.f_bits) + ' bits, must be 1 to ' + elpp.MAX_BITFIELD_BITS })
+        } else if (args.sign && args.i_bits < 1) {
+            errors.push({ path: path + '.args.sign', message: 'signed bitfield needs at least 1 i_bit' })
+        } else {
+            size = { min: args.i_bits + args.f_bits, max: args.i_bits + args.f_bits }
+        }
+        if (args.sign !== undefined && args.sign !== 0 && args.sign !== 1) {
+            errors.push({ path: path + '.args.sign', message: 'sign must be 0 or 1' })
+        }
+        return size
+    }
+    if ((name == 'fixed_bytearray' || name == 'fixed_string' || name == 'fixed_array') && !is_count(args.length)) {
+        errors.push({ path: path + '.args.length', message: name + ' needs a whole length' })
+        return size
+    }
+    if (name == 'fixed_bytearray' || name == 'fixed_string') {
+        return { min: args.length * 8, max: args.length * 8 }
+    }
+    /* arrays */
+    if (!args.element) {
+        errors.push({ path: path + '.args.element', message: name + ' needs an element type' })
+        return size
+    }
+    var element_type = (args.element instanceof Array) ? args.element : [args.element]
+    var element = validate_type(element_type, kind, path + '.args.element', errors, [])
+    if (name == 'fixed_array') {
+        return { min: element.min * args.length, max: element.max * args.length }
+    }
+    if (name == 'timeseries') {
+        if (args.delta && elpp.type_field_count(element_type, kind) != 1) {
+            errors.push({ path: path + '.args.delta', message: 'a delta time series needs an element of a single field' })
+        } else if (args.delta) {
+            var delta_field = elpp.type_first_field(element_type, kind)
+            if (!elpp.signed_range(primitive_name(delta_field.fn, kind), delta_field.args)) {
+                errors.push({ path: path + '.args.delta', message: 'a delta time series needs a signed element' })
+            }
+        }
+        /* base epoch and sample count */
+        return { min: 40, max: Infinity }
+    }
+    return { min: 8, max: Infinity }
+}
+
+function validate_when(when, path, errors, scopes) {
+    if (typeof when.field !== 'string') {
+        errors.push({ path: path + '.field', message: 'condition needs the name of an earlier field' })
+        return
+    }
+    if (when.bit === undefined && when.equals === undefined) {
+        errors.push({ path: path, message: 'condition needs a bit or equals' })
+    } else if (when.bit !== undefined && !is_count(when.bit)) {
+        errors.push({ path: path + '.bit', message: 'bit must be a whole number' })
+    }
+    for (var i = scopes.length - 1; i >= 0; i--) {
+        if (scopes[i][when.field]) {
+            return
+        }
+    }
+    errors.push({ path: path + '.field', message: 'no earlier field \'' + when.field + '\'' })
+}
+
+function validate_map(map, kind, prefix) {
+    var errors = []
+    var sizes = {}
+    var channels = {}
+    var handler = (kind == 'decoder') ? 'processor' : 'provider'
+    prefix = prefix || ''
+    if (kind != 'decoder' && kind != 'encoder') {
+        throw new Error('validator: kind must be \'decoder\' or \'encoder\'')
+    }
+    for (var key in map) {
+        var path = prefix + key
+        var entry = map[key]
+        var chan = Number(key)
+        if (!(chan >= 0 && chan <= 255 && Math.floor(chan) === chan)) {
+            errors.push({ path: path, message: 'channel must be a number from 0 to 255' })
+        } else if (reserved_channels[chan]) {
+            errors.push({ path: path, message: 'channel ' + chan + ' is reserved for ' + reserved_channels[chan] })
+        } else if (channels[chan] !== undefined) {
+            errors.push({ path: path, message: 'duplicate of channel ' + channels[chan] })
+        } else {
+            channels[chan] = key
+        }
+        if (!entry || !(entry[kind] instanceof Array)) {
+            errors.push({ path: path + '.' + kind, message: 'channel has no ' + kind + ' type' })
+            continue
+        }
+        if (kind == 'encoder' ? (typeof entry[handler] !== 'function') : (entry[handler] !== undefined && typeof entry[handler] !== 'function')) {
+            errors.push({ path: path + '.' + handler, message: handler + ' is not a function' })
+        }
+        if (entry.output !== undefined && entry.output !== elpp.OUTPUT_ARRAY && entry.output !== elpp.OUTPUT_NAMED) {
+            errors.push({ path: path + '.output', message: 'unknown output mode \'' + entry.output + '\'' })
+        }
+        var size = validate_type(entry[kind], kind, path + '.' + kind, errors, [])
+        if (elpp.is_extension_channel(chan)) {
+            /* the length prefix */
+            size = { min: size.min + 8, max: size.max + 40 }
+        }
+        sizes[key] = { min: size.min, max: size.max }
+    }
+    return { errors: errors, sizes: sizes }
+}
+
+function validate_registry(registry, kind) {
+    var errors = []
+    var sizes = {}
+    for (var port in registry) {
+        sizes[port] = {}
+        for (var version in registry[port]) {
+            var res = validate_map(registry[port][version], kind, port + '.' + version + '.')
+            errors = errors.concat(res.errors)
+            sizes[port][version] = res.sizes
+        }
+    }
+    return { errors: errors, sizes: sizes }
+}
+
+module.exports = {
+    validate_map,
+    validate_registry,
+}